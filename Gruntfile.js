@@ -148,7 +148,7 @@ module.exports = function (grunt) {
      */
     jshint: {
       all: {
-        src: ['src/**/*.js', '*.js']
+        src: ['src/**/*.js', 'server/**/*.js', '*.js']
       },
       options: {
         jshintrc: '.jshintrc'
@@ -164,6 +164,9 @@ module.exports = function (grunt) {
       'mocha-browser': {
         command: './node_modules/.bin/mocha-phantomjs test/index.html'
       },
+      'mocha-server': {
+        command: './node_modules/.bin/mocha test/server'
+      },
       'build-gh-pages': {
         command: 'NODE_ENV="gh-pages" grunt build'
       },
@@ -281,9 +284,14 @@ module.exports = function (grunt) {
     'build', 'connect:server', 'shell:mocha-browser'
   ]);
 
+  // Test the example REST persistence server.
+  grunt.registerTask('test-server', [
+    'shell:mocha-server'
+  ]);
+
   // Test the application in a headless environment.
   grunt.registerTask('test', [
-    'check', 'test-browser'
+    'check', 'test-server', 'test-browser'
   ]);
 
   // Generate the built application.
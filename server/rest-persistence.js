@@ -0,0 +1,440 @@
+var fs          = require('fs');
+var url         = require('url');
+var path        = require('path');
+var http        = require('http');
+var crypto      = require('crypto');
+var querystring = require('querystring');
+
+var notebookList = require('../src/scripts/lib/notebook-list');
+
+var PORT       = process.env.PORT || 3001;
+var DATA_DIR   = process.env.DATA_DIR || path.join(process.cwd(), 'notebooks');
+var TOKEN      = process.env.TOKEN;
+var USER_ID    = process.env.USER_ID || 'local';
+var USER_TITLE = process.env.USER_TITLE || 'Local Server';
+
+/**
+ * Notebook ids are used as file names, so only allow safe characters.
+ *
+ * @type {RegExp}
+ */
+var ID_REGEXP = /^[\w\-]+$/;
+
+/**
+ * Limit the size of request bodies to avoid buffering unbounded requests.
+ *
+ * @type {Number}
+ */
+var MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * The number of notebooks listed per page.
+ *
+ * @type {Number}
+ */
+var PAGE_SIZE = 50;
+
+/**
+ * Generate a reasonably unique notebook id.
+ *
+ * @return {String}
+ */
+var generateId = function () {
+  return Date.now().toString(36) + crypto.randomBytes(4).toString('hex');
+};
+
+/**
+ * Convert an `updatedAt` value sent by a client, either a timestamp or a date
+ * string, to a timestamp.
+ *
+ * @param  {*}      value
+ * @return {Number}
+ */
+var toTimestamp = function (value) {
+  return typeof value === 'string' ? Date.parse(value) : +value;
+};
+
+/**
+ * Respond to the request with a JSON body.
+ *
+ * @param {Object} res
+ * @param {Number} status
+ * @param {*}      body
+ */
+var send = function (res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  return res.end(JSON.stringify(body));
+};
+
+/**
+ * Respond with an error message.
+ *
+ * @param {Object} res
+ * @param {Number} status
+ * @param {String} message
+ */
+var sendError = function (res, status, message) {
+  return send(res, status, { error: message });
+};
+
+/**
+ * Read and parse the JSON request body.
+ *
+ * @param {Object}   req
+ * @param {Function} done
+ */
+var readBody = function (req, done) {
+  var chunks = [];
+  var length = 0;
+
+  req.on('data', function (chunk) {
+    length += chunk.length;
+
+    if (length > MAX_BODY_SIZE) {
+      req.removeAllListeners('data');
+      req.removeAllListeners('end');
+      return done(new Error('Request body too large'));
+    }
+
+    chunks.push(chunk);
+  });
+
+  req.on('end', function () {
+    var body;
+
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      return done(new Error('Invalid JSON body'));
+    }
+
+    return done(null, body);
+  });
+};
+
+/**
+ * Filesystem storage for notebook records, one JSON file per notebook.
+ *
+ * @param  {String} dir
+ * @return {Object}
+ */
+var createStorage = function (dir) {
+  /**
+   * Return the file name of a notebook record.
+   *
+   * @param  {String} id
+   * @return {String}
+   */
+  var file = function (id) {
+    return path.join(dir, id + '.json');
+  };
+
+  var storage = {
+    get: function (id, done) {
+      fs.readFile(file(id), 'utf8', function (err, contents) {
+        if (err) {
+          return done(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        try {
+          return done(null, JSON.parse(contents));
+        } catch (e) {
+          return done(e);
+        }
+      });
+    },
+    put: function (record, done) {
+      fs.mkdir(dir, function (err) {
+        if (err && err.code !== 'EEXIST') { return done(err); }
+
+        // Write to a temporary file first so a failed write can't leave a
+        // truncated notebook behind.
+        var tmp = file(record.id) + '.tmp';
+
+        fs.writeFile(tmp, JSON.stringify(record, null, 2), function (err) {
+          if (err) { return done(err); }
+
+          fs.rename(tmp, file(record.id), function (err) {
+            return done(err, record);
+          });
+        });
+      });
+    },
+    all: function (done) {
+      fs.readdir(dir, function (err, files) {
+        if (err) {
+          return done(err.code === 'ENOENT' ? null : err, []);
+        }
+
+        var ids = files.filter(function (name) {
+          return /\.json$/.test(name);
+        }).map(function (name) {
+          return name.slice(0, -5);
+        });
+
+        var records = [];
+
+        (function recurse (index) {
+          if (index === ids.length) {
+            return done(null, records);
+          }
+
+          storage.get(ids[index], function (err, record) {
+            if (err) { return done(err); }
+
+            if (record) {
+              records.push(record);
+            }
+
+            return recurse(index + 1);
+          });
+        })(0);
+      });
+    },
+    remove: function (id, done) {
+      fs.unlink(file(id), function (err) {
+        return done(err && err.code === 'ENOENT' ? null : err);
+      });
+    }
+  };
+
+  return storage;
+};
+
+/**
+ * Map a stored record to the notebook response format.
+ *
+ * @param  {Object} record
+ * @return {Object}
+ */
+var toNotebook = function (record) {
+  return {
+    id:          record.id,
+    ownerId:     record.ownerId,
+    ownerTitle:  record.ownerTitle,
+    meta:        record.meta || {},
+    content:     record.content,
+    attachments: record.attachments || [],
+    updatedAt:   record.updatedAt
+  };
+};
+
+/**
+ * Create a request handler implementing the REST persistence contract described
+ * in `docs/plugins/rest-persistence.md`.
+ *
+ * @param  {Object}   options
+ * @return {Function}
+ */
+var createHandler = exports.createHandler = function (options) {
+  var storage = createStorage(options.dir);
+  var user    = { id: options.userId, title: options.userTitle };
+
+  /**
+   * Check the request is authorized by the configured token, if any.
+   *
+   * @param  {Object}  req
+   * @return {Boolean}
+   */
+  var isAuthorized = function (req) {
+    return !options.token ||
+      req.headers.authorization === 'Bearer ' + options.token;
+  };
+
+  /**
+   * Save a notebook record, rejecting updates over changes made since the
+   * client loaded the notebook.
+   *
+   * @param {Object} res
+   * @param {String} id
+   * @param {Object} body
+   */
+  var save = function (res, id, body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return sendError(res, 400, 'Notebook must be an object');
+    }
+
+    if (typeof body.content !== 'string') {
+      return sendError(res, 400, 'Notebook content must be a string');
+    }
+
+    storage.get(id, function (err, existing) {
+      if (err) { return sendError(res, 500, err.message); }
+
+      if (existing && existing.ownerId !== user.id) {
+        return sendError(res, 403, 'Not the notebook owner');
+      }
+
+      if (existing && body.updatedAt != null &&
+        toTimestamp(body.updatedAt) !== existing.updatedAt) {
+        return sendError(res, 409, 'The notebook has changed');
+      }
+
+      var record = {
+        id:          id,
+        ownerId:     user.id,
+        ownerTitle:  user.title,
+        meta:        body.meta || {},
+        content:     body.content,
+        attachments: body.attachments || [],
+        updatedAt:   Date.now()
+      };
+
+      storage.put(record, function (err) {
+        if (err) { return sendError(res, 500, err.message); }
+
+        return send(res, existing ? 200 : 201, toNotebook(record));
+      });
+    });
+  };
+
+  /**
+   * List a page of the user's notebooks matching the search query and tags,
+   * linking to the next page when there are more notebooks.
+   *
+   * @param {Object} req
+   * @param {Object} res
+   */
+  var list = function (req, res) {
+    var query = url.parse(req.url, true).query;
+    var page  = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    storage.all(function (err, records) {
+      if (err) { return sendError(res, 500, err.message); }
+
+      var matches = notebookList.filter(records.filter(function (record) {
+        return record.ownerId === user.id;
+      }), {
+        query: query.q,
+        tags:  query.tags ? String(query.tags).split(',') : [],
+        sort:  query.sort
+      });
+
+      if (matches.length > page * PAGE_SIZE) {
+        query.page = page + 1;
+
+        res.setHeader('Link', '</notebooks?' + querystring.stringify(query) +
+          '>; rel="next"');
+      }
+
+      return send(res, 200, matches.slice(
+        (page - 1) * PAGE_SIZE, page * PAGE_SIZE
+      ).map(function (record) {
+        return {
+          id:        record.id,
+          meta:      record.meta || {},
+          updatedAt: record.updatedAt
+        };
+      }));
+    });
+  };
+
+  return function (req, res) {
+    var pathname = url.parse(req.url).pathname.replace(/\/+$/, '');
+    var parts    = pathname.split('/').slice(1);
+    var id       = parts[1];
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    res.setHeader(
+      'Access-Control-Allow-Headers', 'Accept, Authorization, Content-Type'
+    );
+    res.setHeader('Access-Control-Expose-Headers', 'Link');
+
+    if (req.method === 'OPTIONS') {
+      return send(res, 204);
+    }
+
+    // Loading notebooks is public, every other request needs authorization.
+    if (!(req.method === 'GET' && id) && !isAuthorized(req)) {
+      return sendError(res, 401, 'Not authorized');
+    }
+
+    if (pathname === '/user' && req.method === 'GET') {
+      return send(res, 200, user);
+    }
+
+    if (parts[0] !== 'notebooks' || parts.length > 2) {
+      return sendError(res, 404, 'Not found');
+    }
+
+    // Ids are restricted to characters that never need encoding.
+    if (id && !ID_REGEXP.test(id)) {
+      return sendError(res, 404, 'Notebook not found');
+    }
+
+    if (!id && req.method === 'GET') {
+      return list(req, res);
+    }
+
+    if (!id && req.method === 'POST') {
+      return readBody(req, function (err, body) {
+        if (err) { return sendError(res, 400, err.message); }
+
+        return save(res, generateId(), body);
+      });
+    }
+
+    if (id && req.method === 'GET') {
+      return storage.get(id, function (err, record) {
+        if (err) { return sendError(res, 500, err.message); }
+
+        if (!record) {
+          return sendError(res, 404, 'Notebook not found');
+        }
+
+        return send(res, 200, toNotebook(record));
+      });
+    }
+
+    if (id && req.method === 'PUT') {
+      return readBody(req, function (err, body) {
+        if (err) { return sendError(res, 400, err.message); }
+
+        return save(res, id, body);
+      });
+    }
+
+    if (id && req.method === 'DELETE') {
+      return storage.get(id, function (err, record) {
+        if (err) { return sendError(res, 500, err.message); }
+
+        if (!record) {
+          return sendError(res, 404, 'Notebook not found');
+        }
+
+        if (record.ownerId !== user.id) {
+          return sendError(res, 403, 'Not the notebook owner');
+        }
+
+        storage.remove(id, function (err) {
+          if (err) { return sendError(res, 500, err.message); }
+
+          return send(res, 204);
+        });
+      });
+    }
+
+    return sendError(res, 405, 'Method not allowed');
+  };
+};
+
+/**
+ * Start the server when run directly from the command line.
+ */
+if (require.main === module) {
+  http.createServer(createHandler({
+    dir:       DATA_DIR,
+    token:     TOKEN,
+    userId:    USER_ID,
+    userTitle: USER_TITLE
+  })).listen(PORT, function () {
+    console.log('Notebook server listening on http://localhost:' + PORT);
+    console.log('Storing notebooks in ' + DATA_DIR);
+  });
+}
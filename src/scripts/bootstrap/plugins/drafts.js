@@ -0,0 +1,237 @@
+var _           = require('underscore');
+var Backbone    = require('backbone');
+var store       = require('../../state/store');
+var config      = require('../../state/config');
+var middleware  = require('../../state/middleware');
+var persistence = require('../../state/persistence');
+var diffLines   = require('../../lib/diff-lines');
+
+/**
+ * Drafts of unsaved changes are kept in a separate local storage namespace.
+ *
+ * @type {Object}
+ */
+var drafts = store.customStore('drafts');
+
+/**
+ * The draft key used for notebooks that have never been saved.
+ *
+ * @type {String}
+ */
+var NEW_KEY = 'new';
+
+/**
+ * The maximum number of changed lines to display when offering a draft.
+ *
+ * @type {Number}
+ */
+var MAX_DIFF_LINES = 20;
+
+/**
+ * Return the key to store a notebook draft under.
+ *
+ * @param  {Object} data
+ * @return {String}
+ */
+var draftKey = function (data) {
+  return data.id || NEW_KEY;
+};
+
+/**
+ * Keep a rolling draft of the notebook content. Writes are debounced per key to
+ * avoid hitting local storage on every keystroke and skipped when the content
+ * has been saved in the meantime (E.g. content changes while loading).
+ *
+ * @type {Object}
+ */
+var draft = (function (hash) {
+  /**
+   * Cancel any pending draft write for the key.
+   *
+   * @param {String} key
+   */
+  var cancel = function (key) {
+    clearTimeout(hash[key]);
+    delete hash[key];
+  };
+
+  return {
+    save: function (key, data) {
+      cancel(key);
+
+      hash[key] = setTimeout(function () {
+        delete hash[key];
+
+        if (data.isSaved()) { return; }
+
+        drafts.set(key, {
+          content:   data.content,
+          updatedAt: Date.now()
+        });
+      }, 1000);
+    },
+    remove: function (key) {
+      cancel(key);
+      drafts.unset(key);
+    }
+  };
+})({});
+
+/**
+ * Summarize the changes a draft would make to the current content as HTML.
+ *
+ * @param  {String} from
+ * @param  {String} to
+ * @return {String}
+ */
+var diffSummary = function (from, to) {
+  var changes = _.reject(diffLines(from, to), function (change) {
+    return change.type === 'unchanged';
+  });
+
+  var added   = _.where(changes, { type: 'added' }).length;
+  var removed = changes.length - added;
+
+  return '<p>' +
+    added + ' line' + (added === 1 ? '' : 's') + ' added, ' +
+    removed + ' line' + (removed === 1 ? '' : 's') + ' removed.' +
+    '</p>' +
+    '<pre class="draft-diff">' +
+    _.map(changes.slice(0, MAX_DIFF_LINES), function (change) {
+      var prefix = change.type === 'added' ? '+ ' : '- ';
+
+      return '<span class="draft-diff-' + change.type + '">' +
+        _.escape(prefix + change.value) + '</span>';
+    }).join('\n') +
+    (changes.length > MAX_DIFF_LINES ?
+      '\n<span class="draft-diff-more">' +
+      (changes.length - MAX_DIFF_LINES) + ' more changes</span>' : '') +
+    '</pre>';
+};
+
+/**
+ * Offer to restore a draft of the current notebook, when it's newer than the
+ * loaded content.
+ */
+var offerDraft = function () {
+  var notebook = persistence.get('notebook');
+  var key      = draftKey(notebook.toJSON());
+  var data     = drafts.get(key);
+  var content  = notebook.get('content');
+  var restore  = false;
+
+  if (!data || !config.get('savable') || data.content === content) {
+    return;
+  }
+
+  // Drafts older than the loaded notebook have been superseded by a save.
+  if (notebook.get('updatedAt') && data.updatedAt < +notebook.get('updatedAt')) {
+    return draft.remove(key);
+  }
+
+  return middleware.trigger('ui:modal', {
+    title: 'Restore Unsaved Changes',
+    content: '<p>' +
+      'Unsaved changes to this notebook from ' +
+      new Date(data.updatedAt).toLocaleString() + ' were found.' +
+      '</p>' +
+      diffSummary(content, data.content) +
+      '<div class="btn-list text-center">' +
+      '<button class="btn btn-secondary" data-dismiss>Discard</button>' +
+      '<button class="btn btn-primary" data-restore>Restore</button>' +
+      '</div>',
+    show: function (modal) {
+      Backbone.$(modal.el).on('click', '[data-restore]', function () {
+        restore = true;
+        return modal.close();
+      });
+    }
+  }, function () {
+    // Avoid overwriting a notebook that was changed while the modal was open.
+    if (persistence.get('notebook') !== notebook) { return; }
+
+    if (!restore) {
+      return draft.remove(key);
+    }
+
+    return notebook.set('content', data.content);
+  });
+};
+
+/**
+ * Keep a draft of every notebook change that hasn't been saved yet. Listens to
+ * the model directly since `persistence:change` plugins can end the middleware
+ * stack early.
+ */
+persistence.listenTo(persistence, 'change:notebook', (function () {
+  var model;
+
+  /**
+   * Update the draft of the current notebook.
+   */
+  var update = function () {
+    if (!config.get('savable')) { return; }
+
+    var data = persistence.getMiddlewareData(model);
+
+    if (data.isSaved()) {
+      return draft.remove(draftKey(data));
+    }
+
+    return draft.save(draftKey(data), data);
+  };
+
+  return function () {
+    if (model) {
+      persistence.stopListening(model, 'change:content', update);
+    }
+
+    model = persistence.get('notebook');
+
+    persistence.listenTo(model, 'change:content', update);
+  };
+})());
+
+/**
+ * Remove drafts once the notebook has been saved. Saving a new notebook also
+ * supersedes the draft kept for new notebooks, so remember whether the notebook
+ * had an id when the save started.
+ */
+persistence.listenTo(persistence, 'change:state', (function () {
+  var isNew = false;
+
+  return function () {
+    var state    = persistence.get('state');
+    var notebook = persistence.get('notebook');
+
+    if (state === persistence.SAVING) {
+      isNew = !notebook.get('id');
+      return;
+    }
+
+    if (state !== persistence.SAVE_DONE) { return; }
+
+    if (isNew) {
+      draft.remove(NEW_KEY);
+    }
+
+    draft.remove(draftKey(notebook.toJSON()));
+  };
+})());
+
+/**
+ * When the application is ready, offer to restore drafts of the initially
+ * loaded notebook. The notebook is loaded by a later middleware, so wait for it
+ * to be set.
+ *
+ * @param {Object}   app
+ * @param {Function} next
+ */
+middleware.register('application:ready', function (app, next) {
+  persistence.listenToOnce(persistence, 'changeNotebook', function () {
+    // Wait for the loaded notebook to finish serializing.
+    return _.defer(offerDraft);
+  });
+
+  return next();
+});
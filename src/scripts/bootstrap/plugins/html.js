@@ -0,0 +1,166 @@
+var _          = require('underscore');
+var async      = require('async');
+var markdown   = require('../../lib/markdown');
+var fileName   = require('../../lib/file-name');
+var middleware = require('../../state/middleware');
+
+/**
+ * Styles embedded in exported documents, so they render without any of the
+ * application stylesheets.
+ *
+ * @type {String}
+ */
+var STYLES = [
+  'body { max-width: 50em; margin: 2em auto; padding: 0 1em; color: #333; ' +
+    'font: 14px/1.5 "Helvetica Neue", Helvetica, Arial, sans-serif; }',
+  'pre, code { font-family: Menlo, Monaco, Consolas, monospace; }',
+  'pre { padding: 0.6em 0.8em; overflow-x: auto; line-height: 1.3; ' +
+    'border: 1px solid #ddd; border-radius: 3px; }',
+  'table { border-collapse: collapse; }',
+  'th, td { padding: 0.4em 1em; border: 1px solid #ccc; }',
+  '.cell { margin: 1.3em 0; }',
+  '.cell-code pre { margin: 0; background: #fff; }',
+  '.cell-result { padding: 0.4em 0.8em; overflow-x: auto; ' +
+    'font: 12px/1.4 Menlo, Monaco, Consolas, monospace; background: #f5f5f5; ' +
+    'border: 1px solid #ddd; border-top: 0; }',
+  '.cell-result-error { color: #af4d4b; background: #fcf2f2; ' +
+    'border-color: #dfb5b4; }',
+  '.cell-result-stale { opacity: 0.7; border-style: dashed; }',
+  '.cell-result pre { margin: 0; padding: 0; border: 0; }',
+  '.inspector { padding-left: 1em; }',
+  '.inspector .preview { overflow: hidden; text-overflow: ellipsis; ' +
+    'white-space: nowrap; }',
+  '.inspector .inspect { display: inline; margin: 0; }',
+  '.inspector .property { color: #7a3694; font-weight: bold; }',
+  '.inspector .is-special { color: #b287c2; }',
+  '.inspector > .children { display: none; }',
+  '.inspector.open > .children { display: block; }',
+  '.inspector-trace { white-space: pre; }',
+  'pre .comment { color: #8e908c; }',
+  'pre .number { color: #164; }',
+  'pre .literal, pre .built_in, pre .params { color: #00f; }',
+  'pre .string, pre .regexp { color: #a11; }',
+  'pre .title, pre .function .title { color: #4271ae; }',
+  'pre .keyword, pre .function { color: #708; }'
+].join('\n');
+
+/**
+ * Render a code cell result to static HTML using the same `result:render`
+ * middleware as the notebook. Results persisted with the notebook are used for
+ * cells that haven't been executed.
+ *
+ * @param {Object}   cell
+ * @param {Function} done
+ */
+var renderResult = function (cell, done) {
+  var output  = cell.meta && cell.meta.output;
+  var el      = document.createElement('div');
+  var classes = ['cell-result'];
+  var inspect, isError;
+
+  if (_.has(cell, 'isError')) {
+    inspect = cell.result;
+    isError = cell.isError;
+  } else if (output) {
+    inspect = output.value;
+    isError = output.isError;
+    classes.push('cell-result-stale');
+  } else {
+    return done(null, '');
+  }
+
+  if (isError) {
+    classes.push('cell-result-error');
+  }
+
+  /**
+   * Wrap the rendered result.
+   *
+   * @return {String}
+   */
+  var wrap = function () {
+    return '<div class="' + classes.join(' ') + '">' + el.innerHTML + '</div>';
+  };
+
+  // Snapshots of values that can't be inspected are kept as plain text.
+  if (output && !_.has(cell, 'isError') && !_.has(output, 'value')) {
+    el.innerHTML = '<pre>' + _.escape(output.text) + '</pre>';
+
+    return done(null, wrap());
+  }
+
+  return middleware.trigger('result:render', {
+    el:      el,
+    window:  window,
+    inspect: inspect,
+    isError: isError
+  }, function (err, remove) {
+    var html = wrap();
+
+    if (typeof remove === 'function') {
+      remove();
+    }
+
+    return done(err, html);
+  });
+};
+
+/**
+ * Render a single cell to static HTML.
+ *
+ * @param {Object}   cell
+ * @param {Function} done
+ */
+var renderCell = function (cell, done) {
+  if (cell.type === 'text') {
+    return markdown.render(cell.value, function (err, html) {
+      return done(err, '<div class="cell cell-text">' + html + '</div>');
+    });
+  }
+
+  return renderResult(cell, function (err, result) {
+    return done(err, '<div class="cell cell-code">' +
+      '<pre><code class="lang-javascript">' +
+      markdown.highlight(cell.value, 'javascript') +
+      '</code></pre>' + result + '</div>');
+  });
+};
+
+/**
+ * Export notebooks as a single HTML document with rendered text cells,
+ * highlighted code and the most recent result of every code cell.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:export', function (data, next, done) {
+  if (data.format !== 'html') {
+    return next();
+  }
+
+  var title = data.meta.title || 'Notebook';
+
+  return async.mapSeries(data.cells, renderCell, function (err, cells) {
+    if (err) { return next(err); }
+
+    data.file = {
+      name: fileName(data.meta.title, 'html'),
+      type: 'text/html',
+      content: '<!doctype html>\n' +
+        '<html>\n' +
+        '<head>\n' +
+        '<meta charset="utf-8">\n' +
+        '<title>' + _.escape(title) + '</title>\n' +
+        '<style>\n' + STYLES + '\n</style>\n' +
+        '</head>\n' +
+        '<body>\n' +
+        '<h1>' + _.escape(title) + '</h1>\n' +
+        cells.join('\n') + '\n' +
+        '</body>\n' +
+        '</html>\n'
+    };
+
+    return done();
+  });
+});
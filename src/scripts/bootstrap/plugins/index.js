@@ -6,9 +6,15 @@ var CodeMirror = require('codemirror');
 require('./ui');
 require('./ajax');
 require('./sandbox');
+require('./transform');
 require('./completion');
 require('./result-cell');
 require('./persistence');
+require('./drafts');
+require('./templates');
+require('./ipynb');
+require('./html');
+require('./node-script');
 require('./application');
 require('./authentication');
 
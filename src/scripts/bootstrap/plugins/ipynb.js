@@ -0,0 +1,177 @@
+var _          = require('underscore');
+var middleware = require('../../state/middleware');
+var fileName   = require('../../lib/file-name');
+
+var NBFORMAT       = 4;
+var NBFORMAT_MINOR = 0;
+
+/**
+ * Notebook metadata describing the language used by our code cells.
+ *
+ * @type {Object}
+ */
+var LANGUAGE_METADATA = {
+  kernelspec: {
+    name:         'javascript',
+    language:     'javascript',
+    display_name: 'JavaScript'
+  },
+  language_info: {
+    name: 'javascript'
+  }
+};
+
+/**
+ * Join Jupyter multiline strings, which can be either strings or an array of
+ * lines.
+ *
+ * @param  {(String|Array)} source
+ * @return {String}
+ */
+var joinSource = function (source) {
+  return _.isArray(source) ? source.join('') : String(source || '');
+};
+
+/**
+ * Split a cell value into the array of lines used by Jupyter, keeping the new
+ * line characters on every line except the last.
+ *
+ * @param  {String} value
+ * @return {Array}
+ */
+var splitSource = function (value) {
+  if (!value) {
+    return [];
+  }
+
+  var lines = value.split('\n');
+
+  return _.map(lines, function (line, index) {
+    return index === lines.length - 1 ? line : line + '\n';
+  });
+};
+
+/**
+ * Map a single Jupyter cell to notebook cell data.
+ *
+ * @param  {Object} cell
+ * @return {Object}
+ */
+var fromJupyterCell = function (cell) {
+  // Version 3 notebooks keep the code cell source in `input`.
+  var value = joinSource(cell.source || cell.input);
+  var data;
+
+  if (cell.cell_type === 'code') {
+    data = {
+      type:    'code',
+      value:   value,
+      outputs: cell.outputs || []
+    };
+  } else {
+    // Version 3 notebooks have separate heading cells.
+    if (cell.cell_type === 'heading') {
+      value = new Array((cell.level || 1) + 1).join('#') + ' ' + value;
+    }
+
+    data = {
+      type:  'text',
+      value: value
+    };
+  }
+
+  // Jupyter cell metadata maps directly to the cell meta data.
+  if (!_.isEmpty(cell.metadata)) {
+    data.meta = cell.metadata;
+  }
+
+  return data;
+};
+
+/**
+ * Map notebook cell data to a Jupyter cell.
+ *
+ * @param  {Object} cell
+ * @return {Object}
+ */
+var toJupyterCell = function (cell) {
+  if (cell.type === 'code') {
+    return {
+      cell_type:       'code',
+      execution_count: null,
+      metadata:        _.extend({}, cell.meta),
+      outputs:         cell.outputs || [],
+      source:          splitSource(cell.value)
+    };
+  }
+
+  return {
+    cell_type: 'markdown',
+    metadata:  _.extend({}, cell.meta),
+    source:    splitSource(cell.value)
+  };
+};
+
+/**
+ * Import Jupyter notebooks. Notebook metadata, other than the language
+ * information, is mapped to the notebook meta data.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:import', function (data, next, done) {
+  if (data.format !== 'ipynb') {
+    return next();
+  }
+
+  var notebook;
+
+  try {
+    notebook = JSON.parse(data.content);
+  } catch (e) {
+    return next(new Error('Invalid Jupyter notebook'));
+  }
+
+  var cells = notebook.cells ||
+    (notebook.worksheets && notebook.worksheets[0] &&
+      notebook.worksheets[0].cells);
+
+  if (!_.isArray(cells)) {
+    return next(new Error('Invalid Jupyter notebook'));
+  }
+
+  _.extend(data.meta, _.omit(notebook.metadata, _.keys(LANGUAGE_METADATA)));
+
+  data.cells = _.map(cells, fromJupyterCell);
+
+  return done();
+});
+
+/**
+ * Export notebooks in the Jupyter notebook format.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:export', function (data, next, done) {
+  if (data.format !== 'ipynb') {
+    return next();
+  }
+
+  var notebook = {
+    cells:          _.map(data.cells, toJupyterCell),
+    metadata:       _.extend({}, data.meta, LANGUAGE_METADATA),
+    nbformat:       NBFORMAT,
+    nbformat_minor: NBFORMAT_MINOR
+  };
+
+  data.file = {
+    name:    fileName(data.meta.title, 'ipynb'),
+    type:    'application/x-ipynb+json',
+    content: JSON.stringify(notebook, null, 1)
+  };
+
+  return done();
+});
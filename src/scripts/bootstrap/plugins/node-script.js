@@ -0,0 +1,248 @@
+var _           = require('underscore');
+var acorn       = require('acorn');
+var middleware  = require('../../state/middleware');
+var fileName    = require('../../lib/file-name');
+var nodeRuntime = require('../../lib/node-runtime');
+
+/**
+ * Exported cells are the bodies of async functions, so top-level `await` and
+ * `return` are valid.
+ *
+ * @type {Object}
+ */
+var PARSE_OPTIONS = {
+  ecmaVersion:                2018,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction:  true
+};
+
+/**
+ * Find the ranges of string and template literal tokens, which can continue
+ * over multiple lines.
+ *
+ * @param  {String} value
+ * @return {Array}
+ */
+var literalRanges = function (value) {
+  var ranges = [];
+  var tokenizer, token;
+
+  try {
+    tokenizer = acorn.tokenizer(value, PARSE_OPTIONS);
+
+    while ((token = tokenizer.getToken()).type !== acorn.tokTypes.eof) {
+      if (token.type === acorn.tokTypes.template ||
+        token.type === acorn.tokTypes.string) {
+        ranges.push({ start: token.start, end: token.end });
+      }
+    }
+  } catch (e) {
+    return [];
+  }
+
+  return ranges;
+};
+
+/**
+ * Indent every non-empty line of code. Lines continuing a string or template
+ * literal are left alone, since indenting them would change the literal.
+ *
+ * @param  {String} value
+ * @param  {String} indent
+ * @return {String}
+ */
+var indent = function (value, indent) {
+  var ranges = literalRanges(value);
+  var offset = 0;
+
+  return _.map(value.split('\n'), function (line) {
+    var start = offset;
+
+    offset += line.length + 1;
+
+    if (!line || _.some(ranges, function (range) {
+      return start > range.start && start <= range.end;
+    })) {
+      return line;
+    }
+
+    return indent + line;
+  }).join('\n');
+};
+
+/**
+ * Turn a text cell into line comments.
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+var toComment = function (value) {
+  return _.map(value.split('\n'), function (line) {
+    return line ? '// ' + line : '//';
+  }).join('\n');
+};
+
+/**
+ * Collect the variable names declared by a declaration pattern.
+ *
+ * @param {Object} node
+ * @param {Array}  names
+ */
+var collectNames = function (node, names) {
+  if (node.type === 'Identifier') {
+    return names.push(node.name);
+  }
+
+  if (node.type === 'ObjectPattern') {
+    return _.each(node.properties, function (property) {
+      collectNames(property.value || property.argument, names);
+    });
+  }
+
+  if (node.type === 'ArrayPattern') {
+    return _.each(_.compact(node.elements), function (element) {
+      collectNames(element, names);
+    });
+  }
+
+  if (node.type === 'AssignmentPattern') {
+    return collectNames(node.left, names);
+  }
+
+  if (node.type === 'RestElement') {
+    return collectNames(node.argument, names);
+  }
+};
+
+/**
+ * Rewrite a top level variable declaration as assignments. Declarations
+ * without a value are removed.
+ *
+ * @param  {Object} node
+ * @param  {String} value
+ * @param  {Array}  names
+ * @return {String}
+ */
+var toAssignments = function (node, value, names) {
+  var assignments = _.map(_.filter(node.declarations, function (declarator) {
+    collectNames(declarator.id, names);
+
+    return declarator.init;
+  }), function (declarator) {
+    var assignment = value.slice(declarator.start, declarator.end);
+
+    // Object patterns are invalid at the start of a statement.
+    return declarator.id.type === 'ObjectPattern' ?
+      '(' + assignment + ')' : assignment;
+  }).join(', ');
+
+  // Avoid an assignment in parens being parsed as a call on the previous line.
+  if (assignments.charAt(0) === '(') {
+    assignments = ';' + assignments;
+  }
+
+  return assignments && assignments +
+    (value.charAt(node.end - 1) === ';' ? ';' : '');
+};
+
+/**
+ * Notebook cells share the global scope, while exported cells are separate
+ * functions. Rewrite top level declarations into assignments and collect the
+ * names so they can be declared once for every cell. Code that can't be parsed
+ * is left alone.
+ *
+ * @param  {String} value
+ * @param  {Array}  names
+ * @return {String}
+ */
+var hoistDeclarations = function (value, names) {
+  var replacements = [];
+  var ast;
+
+  try {
+    ast = acorn.parse(value, PARSE_OPTIONS);
+  } catch (e) {
+    return value;
+  }
+
+  _.each(ast.body, function (node) {
+    if (node.type === 'VariableDeclaration') {
+      return replacements.push({
+        start: node.start,
+        end:   node.end,
+        text:  toAssignments(node, value, names)
+      });
+    }
+
+    if (node.type === 'FunctionDeclaration' ||
+      node.type === 'ClassDeclaration') {
+      names.push(node.id.name);
+
+      return replacements.push({
+        start: node.start,
+        end:   node.start,
+        text:  node.id.name + ' = '
+      });
+    }
+  });
+
+  // Replace from the end, so earlier positions stay valid.
+  _.each(_.sortBy(replacements, function (replacement) {
+    return -replacement.start;
+  }), function (replacement) {
+    value = value.slice(0, replacement.start) + replacement.text +
+      value.slice(replacement.end);
+  });
+
+  return value;
+};
+
+/**
+ * Export notebooks as Node.js scripts. Text cells become comments and code
+ * cells are executed in order using a small runtime that implements the
+ * notebook `API` object and `async()`/`timeout()` helpers.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:export', function (data, next, done) {
+  if (data.format !== 'node') {
+    return next();
+  }
+
+  var names = [];
+  var title = data.meta.title || 'Notebook';
+
+  var cells = _.map(data.cells, function (cell) {
+    if (cell.type === 'text') {
+      return indent(toComment(cell.value), '  ');
+    }
+
+    return '  async function () {\n' +
+      indent(hoistDeclarations(cell.value, names), '    ') + '\n' +
+      '  },';
+  });
+
+  names = _.uniq(names);
+
+  data.file = {
+    name: fileName(data.meta.title, 'js'),
+    type: 'application/javascript',
+    content: toComment(title) + '\n' +
+      '//\n' +
+      '// Exported from ' + (data.meta.site || 'API Notebook') + '. Run with ' +
+      '`node ' + fileName(data.meta.title, 'js') + '`.\n' +
+      '//\n' +
+      '// Every code cell is a function executed in order. Call `async()` to\n' +
+      '// get a callback that completes the cell, or use `await`. API\n' +
+      '// requests made without a callback return promises.\n\n' +
+      nodeRuntime + '\n\n' +
+      (names.length ? 'var ' + names.join(', ') + ';\n\n' : '') +
+      'notebook.run([\n' +
+      cells.join('\n') + '\n' +
+      ']);\n'
+  };
+
+  return done();
+});
@@ -1,12 +1,28 @@
 /* global App */
 var _          = require('underscore');
+var yaml       = require('js-yaml');
 var config     = require('../../state/config');
 var middleware = require('../../state/middleware');
+var fileName   = require('../../lib/file-name');
 
 var OPEN_CODE_BLOCK     = '```javascript';
 var CLOSE_CODE_BLOCK    = '```';
 var META_DATA_DELIMITER = '---';
 
+/**
+ * Match code block openings with optional cell meta data in the info string.
+ *
+ * @type {RegExp}
+ */
+var OPEN_CODE_BLOCK_REGEXP = /^```javascript(?: (\{.*\}))?$/;
+
+/**
+ * Match HTML comments holding meta data for the following text cell.
+ *
+ * @type {RegExp}
+ */
+var TEXT_META_REGEXP = /^<!-- cell (\{.*\}) -->$/;
+
 /**
  * Set the default content into the config object.
  */
@@ -16,6 +32,227 @@ config.set('defaultContent', [
   CLOSE_CODE_BLOCK
 ].join('\n'));
 
+/**
+ * Match front matter values that YAML reads differently from the original
+ * `key: value` format, since they're quoted, block scalars or explicitly typed.
+ *
+ * @type {RegExp}
+ */
+var YAML_VALUE_REGEXP = /^['"|>!&*]/;
+
+/**
+ * Check whether a YAML value is a nested object or list, which the original
+ * format couldn't hold.
+ *
+ * @param  {*}       value
+ * @return {Boolean}
+ */
+var isStructured = function (value) {
+  return _.isObject(value) && !_.isDate(value);
+};
+
+/**
+ * Parse front matter in the original format, one `key: value` string per line.
+ *
+ * @param  {String} body
+ * @return {Object}
+ */
+var parseLegacyMeta = function (body) {
+  var meta = {};
+
+  _.each(body.split('\n'), function (line) {
+    var index = line.indexOf(': ');
+
+    if (index > 0) {
+      meta[line.substr(0, index)] = line.substr(index + 2);
+    }
+  });
+
+  return meta;
+};
+
+/**
+ * Check whether a string can be written as a plain `key: value` line, which
+ * YAML and the original format both read as the exact same string.
+ *
+ * @param  {String}  key
+ * @param  {String}  value
+ * @return {Boolean}
+ */
+var isLegacyValue = function (key, value) {
+  if (!/^[\w\-]+$/.test(key)) {
+    return false;
+  }
+
+  try {
+    return yaml.safeLoad(key + ': ' + value)[key] === value;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Serialize a scalar meta data value as YAML.
+ *
+ * @param  {*}      value
+ * @return {String}
+ */
+var stringifyScalar = function (value) {
+  var text = yaml.safeDump(value).trim();
+
+  // YAML reads exponents without a decimal point as strings, E.g. `1e+21`.
+  return _.isNumber(value) ? text.replace(/^([-+]?\d+)(?=e)/i, '$1.0') : text;
+};
+
+/**
+ * Serialize a top-level meta data value as a front matter line. Strings are
+ * written in the original format when possible, so existing notebooks keep the
+ * same front matter, and quoted when YAML would read them as another type.
+ *
+ * @param  {*}      value
+ * @param  {String} key
+ * @return {String}
+ */
+var stringifyMetaValue = function (value, key) {
+  if (_.isString(value) && isLegacyValue(key, value)) {
+    return key + ': ' + value;
+  }
+
+  if (isStructured(value)) {
+    return yaml.safeDump(_.object([key], [value]), { skipInvalid: true }).trim();
+  }
+
+  return yaml.safeDump(key).trim() + ': ' + stringifyScalar(value);
+};
+
+/**
+ * Serialize meta data as the YAML front matter body.
+ *
+ * @param  {Object} meta
+ * @return {String}
+ */
+var stringifyMeta = function (meta) {
+  var keys = _.filter(_.keys(meta), function (key) {
+    return !_.isUndefined(meta[key]) && !_.isFunction(meta[key]);
+  });
+
+  return _.map(keys, function (key) {
+    return stringifyMetaValue(meta[key], key);
+  }).join('\n');
+};
+
+/**
+ * Check whether a plain front matter value is exactly how YAML writes the value
+ * it's read as (E.g. `3` or `true`, but not `3.0` or `API #2`).
+ *
+ * @param  {*}       value
+ * @param  {String}  text
+ * @return {Boolean}
+ */
+var isCanonicalValue = function (value, text) {
+  return stringifyScalar(value) === text;
+};
+
+/**
+ * Parse the YAML front matter body into a meta data object. Plain `key: value`
+ * lines keep their original string values unless YAML writes the parsed value
+ * the same way, so notebooks in the original format aren't changed by YAML
+ * (E.g. `title: API #2` would be read as `API`). Falls back to the original
+ * format completely when the front matter isn't valid YAML (E.g. an unquoted
+ * title containing a colon).
+ *
+ * @param  {String} body
+ * @return {Object}
+ */
+var parseMeta = function (body) {
+  var legacy = parseLegacyMeta(body);
+  var meta;
+
+  try {
+    meta = yaml.safeLoad(body);
+  } catch (e) {
+    return legacy;
+  }
+
+  if (!isStructured(meta) || _.isArray(meta)) {
+    return legacy;
+  }
+
+  _.each(meta, function (value, key) {
+    if (!_.has(legacy, key) || isStructured(value)) {
+      return;
+    }
+
+    if (!YAML_VALUE_REGEXP.test(legacy[key]) &&
+      !isCanonicalValue(value, legacy[key])) {
+      meta[key] = legacy[key];
+    }
+  });
+
+  return meta;
+};
+
+/**
+ * Stringify cell meta data as single line JSON. Escapes the closing HTML comment
+ * sequence, which is only possible inside JSON strings.
+ *
+ * @param  {Object} meta
+ * @return {String}
+ */
+var stringifyCellMeta = function (meta) {
+  return JSON.stringify(meta).replace(/-->/g, '--\\u003e');
+};
+
+/**
+ * Parse cell meta data from a line matching a cell opening regular expression.
+ * Returns `null` when the line doesn't open a cell, which includes invalid meta
+ * data being treated as regular content.
+ *
+ * @param  {String} line
+ * @param  {RegExp} regexp
+ * @return {Object}
+ */
+var parseCellMeta = function (line, regexp) {
+  var match = line.match(regexp);
+  var meta;
+
+  if (!match) {
+    return null;
+  }
+
+  if (!match[1]) {
+    return {};
+  }
+
+  try {
+    meta = JSON.parse(match[1]);
+  } catch (e) {
+    return null;
+  }
+
+  return _.isObject(meta) && !_.isArray(meta) ? meta : null;
+};
+
+/**
+ * Create a new cell object, only setting meta data when available.
+ *
+ * @param  {String} type
+ * @param  {Object} meta
+ * @return {Object}
+ */
+var createCell = function (type, meta) {
+  var cell = {
+    type:  type,
+    value: ''
+  };
+
+  if (!_.isEmpty(meta)) {
+    cell.meta = meta;
+  }
+
+  return cell;
+};
+
 /**
  * Serialize the notebook to a string based format.
  *
@@ -29,9 +266,7 @@ middleware.register('persistence:serialize', function (data, next, done) {
   // Prepend the front matter.
   data.content = [
     META_DATA_DELIMITER,
-    _.map(data.meta, function (value, key) {
-      return key + ': ' + value;
-    }).join('\n'),
+    stringifyMeta(data.meta),
     META_DATA_DELIMITER
   ].join('\n');
 
@@ -51,9 +286,23 @@ middleware.register('persistence:serialize', function (data, next, done) {
     })
     .reverse()
     .map(function (cell) {
-      if (cell.type === 'text') { return cell.value; }
-      // Wrap code cells as a JavaScript code block for Markdown
-      return [OPEN_CODE_BLOCK, cell.value, CLOSE_CODE_BLOCK].join('\n');
+      var hasMeta = !_.isEmpty(cell.meta);
+
+      if (cell.type === 'text') {
+        if (!hasMeta) { return cell.value; }
+
+        // Text cells are preceded by a comment holding the meta data.
+        return '<!-- cell ' + stringifyCellMeta(cell.meta) + ' -->\n' +
+          cell.value;
+      }
+
+      // Wrap code cells as a JavaScript code block for Markdown, with the meta
+      // data in the info string.
+      return [
+        OPEN_CODE_BLOCK + (hasMeta ? ' ' + stringifyCellMeta(cell.meta) : ''),
+        cell.value,
+        CLOSE_CODE_BLOCK
+      ].join('\n');
     }).value().join('\n\n');
 
   return done();
@@ -78,39 +327,37 @@ middleware.register('persistence:deserialize', function (data, next, done) {
   // Replace potential meta data with nothing and parse it separately.
   var content = String(data.content || '')
     .replace(preambleRegExp, function (content, body) {
-      // Split each line of the metadata and set on the `data` export object.
-      _.each(body.split('\n'), function (meta) {
-        var parts = meta.split(': ');
-
-        // Ignore the line if we don't have a `title: data` combination.
-        if (parts.length === 2) {
-          data.meta[parts[0]] = parts[1];
-        }
-      });
+      _.extend(data.meta, parseMeta(body));
 
       return '';
     });
 
   data.cells = _.chain(content.split('\n')).reduce(function (cells, line) {
     var cell = cells[cells.length - 1];
+    var meta = parseCellMeta(line, OPEN_CODE_BLOCK_REGEXP);
 
     // An open code block will return a new code cell.
-    if (line === OPEN_CODE_BLOCK) {
-      cells.push({
-        type:  'code',
-        value: ''
-      });
+    if (meta) {
+      cells.push(createCell('code', meta));
 
       return cells;
     }
 
+    // A meta data comment inside text starts a new text cell.
+    if (cell.type === 'text') {
+      meta = parseCellMeta(line, TEXT_META_REGEXP);
+
+      if (meta) {
+        cells.push(createCell('text', meta));
+
+        return cells;
+      }
+    }
+
     // If we hit a closing code block and we are a code cell, return a fresh
     // text cell.
     if (cell.type === 'code' && line === CLOSE_CODE_BLOCK) {
-      cells.push({
-        type:  'text',
-        value: ''
-      });
+      cells.push(createCell('text'));
 
       return cells;
     }
@@ -137,6 +384,50 @@ middleware.register('persistence:deserialize', function (data, next, done) {
   return done();
 });
 
+/**
+ * Import notebooks from Markdown using the regular deserialization.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:import', function (data, next, done) {
+  if (data.format !== 'markdown') {
+    return next();
+  }
+
+  return middleware.trigger('persistence:deserialize', {
+    content: data.content,
+    meta:    data.meta,
+    cells:   null
+  }, function (err, result) {
+    data.cells = result.cells;
+
+    return done(err);
+  });
+});
+
+/**
+ * Export notebooks as the serialized Markdown content.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+middleware.register('persistence:export', function (data, next, done) {
+  if (data.format !== 'markdown') {
+    return next();
+  }
+
+  data.file = {
+    name:    fileName(data.meta.title, 'md'),
+    type:    'text/markdown',
+    content: data.content
+  };
+
+  return done();
+});
+
 /**
  * Default middleware that loads the initial notebook as a single code cell.
  *
@@ -1,8 +1,165 @@
 /* global App */
-var middleware = require('../../state/middleware');
+var _           = require('underscore');
+var Sandbox     = require('../../lib/sandbox');
+var packages    = require('../../lib/packages');
+var middleware  = require('../../state/middleware');
+var persistence = require('../../state/persistence');
 
 var ASYNC_TIMEOUT = 60000;
 
+/**
+ * Console methods captured while a cell is executing.
+ *
+ * @type {Array}
+ */
+var CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'table'];
+
+/**
+ * Package bundles fetched from the package mirror, cached by url for the
+ * session.
+ *
+ * @type {Object}
+ */
+var sources = {};
+
+/**
+ * Executing cells with the requests they started, which are aborted when the
+ * execution is cancelled, and their captured console output.
+ *
+ * @type {Array}
+ */
+var executions = [];
+
+/**
+ * Capture the console output of a sandbox window while cells are executing,
+ * which includes logs from functions defined by earlier cells and libraries
+ * calling the window console directly. Output is added to every execution in
+ * the window, since it can't be told apart, and still logged to the console.
+ *
+ * @param {Window} win
+ */
+var captureConsole = function (win) {
+  var console = win.console;
+
+  if (console._notebookCapture) {
+    return;
+  }
+
+  console._notebookCapture = true;
+
+  _.each(CONSOLE_METHODS, function (method) {
+    var original = console[method];
+
+    console[method] = function () {
+      var args = _.toArray(arguments);
+
+      _.each(_.where(executions, { window: win }), function (execution) {
+        execution.logs.push({ level: method, args: args });
+      });
+
+      if (typeof original === 'function') {
+        return original.apply(console, arguments);
+      }
+    };
+  });
+};
+
+/**
+ * Fetch the source of a package bundle in the background.
+ *
+ * @param {String}   url
+ * @param {Object}   context
+ * @param {Function} done
+ */
+var fetchSource = function (url, context, done) {
+  if (_.has(sources, url)) {
+    return done(null, sources[url]);
+  }
+
+  middleware.trigger('ajax', {
+    url:     url,
+    method:  'GET',
+    context: context
+  }, function (err, xhr) {
+    if (err || Math.floor(xhr.status / 100) !== 2) {
+      return done(new Error('Could not fetch ' + url));
+    }
+
+    sources[url] = xhr.responseText;
+
+    return done(null, sources[url]);
+  });
+};
+
+/**
+ * Get the package exports by url for a sandbox window, so packages are
+ * evaluated once per sandbox. They're kept on the window, which releases them
+ * along with the sandbox.
+ *
+ * @param  {Window} win
+ * @return {Object}
+ */
+var getModules = function (win) {
+  if (!Object.prototype.hasOwnProperty.call(win, '_notebookModules')) {
+    Object.defineProperty(win, '_notebookModules', { value: {} });
+  }
+
+  return win._notebookModules;
+};
+
+/**
+ * Evaluate a package bundle in a sandbox window.
+ *
+ * @param  {Window}   win
+ * @param  {String}   url
+ * @param  {String}   source
+ * @param  {Function} require
+ * @return {Object}
+ */
+var evaluate = function (win, url, source, require) {
+  var loaded = getModules(win);
+  var module = loaded[url] = { exports: {} };
+
+  try {
+    /* jshint evil: true */
+    new win.Function(
+      'module', 'exports', 'require', source + '\n//# sourceURL=' + url
+    ).call(module.exports, module, module.exports, require);
+  } catch (e) {
+    delete loaded[url];
+    throw e;
+  }
+
+  return module;
+};
+
+/**
+ * Keep track of the ajax requests started by an executing cell. Requests are
+ * linked to the execution by passing its `context` in the ajax options (E.g.
+ * API client requests), so any other requests (E.g. saving the notebook) are
+ * never aborted by cancelling a cell.
+ *
+ * @param {Object}   options
+ * @param {Function} next
+ */
+middleware.register('ajax', function (options, next) {
+  var execution  = options.context &&
+    _.findWhere(executions, { context: options.context });
+  var beforeSend = options.beforeSend;
+
+  if (!execution) {
+    return next();
+  }
+
+  options.beforeSend = function (xhr) {
+    execution.requests.push(xhr);
+
+    return beforeSend && beforeSend(xhr);
+  };
+
+  return next();
+});
+
 /**
  * Set the some additional context variables.
  *
@@ -19,7 +176,8 @@ middleware.register('sandbox:context', function (context, next) {
 
     return middleware.trigger('ajax', {
       url: src,
-      method: 'GET'
+      method: 'GET',
+      context: context
     }, function (err, xhr) {
       if (Math.floor(xhr.status / 100) === 2 && xhr.responseText) {
         /* jshint evil: true */
@@ -30,6 +188,104 @@ middleware.register('sandbox:context', function (context, next) {
     });
   };
 
+  /**
+   * Read the content of a notebook attachment. JSON attachments are parsed.
+   *
+   * @param  {String} name
+   * @return {*}
+   */
+  context.attachment = function (name) {
+    var attachment = persistence.get('notebook').getAttachment(name);
+
+    if (!attachment) {
+      throw new Error('No attachment named "' + name + '"');
+    }
+
+    if (/\.json$/i.test(attachment.name) ||
+      /^application\/([\w\-.]+\+)?json\b/i.test(attachment.type)) {
+      return JSON.parse(attachment.content);
+    }
+
+    return attachment.content;
+  };
+
+  /**
+   * Require a package bundle which has already been loaded in the sandbox
+   * using `require.async`. Fetching the bundle synchronously would block the
+   * page, so requiring a package that hasn't been loaded throws instead.
+   *
+   * @param  {String} spec
+   * @return {*}
+   */
+  context.require = function (spec) {
+    var pkg = packages.parse(spec);
+    var url = packages.resolve(pkg);
+    var win = App._executeWindow;
+
+    if (!win) {
+      throw new Error('Packages can only be required while a cell executes');
+    }
+
+    var loaded = getModules(win);
+
+    if (!_.has(loaded, url)) {
+      throw new Error(
+        'Package "' + spec + '" has not been loaded, use ' +
+        '`await require.async("' + spec + '")` first'
+      );
+    }
+
+    packages.record(pkg);
+
+    return loaded[url].exports;
+  };
+
+  /**
+   * Require a CommonJS or UMD package bundle from the package mirror without
+   * blocking the page, returning a promise of the exports. E.g.
+   * `var _ = await require.async('lodash@4')`.
+   *
+   * @param  {String}  spec
+   * @return {Promise}
+   */
+  context.require.async = function (spec) {
+    var pkg = packages.parse(spec);
+    var url = packages.resolve(pkg);
+    var win = App._executeWindow;
+
+    if (!win) {
+      throw new Error('Packages can only be required while a cell executes');
+    }
+
+    var loaded = getModules(win);
+
+    return new win.Promise(function (resolve, reject) {
+      if (_.has(loaded, url)) {
+        packages.record(pkg);
+
+        return resolve(loaded[url].exports);
+      }
+
+      return fetchSource(url, context, function (err, source) {
+        if (err) {
+          return reject(err);
+        }
+
+        try {
+          if (!_.has(loaded, url)) {
+            evaluate(win, url, source, context.require);
+          }
+        } catch (e) {
+          return reject(e);
+        }
+
+        packages.record(pkg);
+
+        return resolve(loaded[url].exports);
+      });
+    });
+  };
+
   context.async   = function () {};
   context.timeout = function () {};
 
@@ -44,12 +300,26 @@ middleware.register('sandbox:context', function (context, next) {
  * @param {Function} done
  */
 middleware.register('sandbox:execute', function (data, next, done) {
-  var code    = 'with (window.console._notebookApi) {\n' + data.code + '\n}';
-  var async   = false;
-  var exec    = {};
-  var context = data.context;
+  var code     = 'with (window.console._notebookApi) {\n' +
+    data.code + '\n}';
+  var async    = false;
+  var finished = false;
+  var exec     = {};
+  var context  = data.context;
+  var requests = [];
+  var timers   = [];
+  var logs     = [];
   var fallback;
 
+  var execution = {
+    context:  context,
+    requests: requests,
+    window:   data.window,
+    logs:     logs
+  };
+
+  executions.push(execution);
+
   // Provides additional context under the `console` object. This works in the
   // same fashion as how Chrome's console is implemented, and has the benefit
   // of any context variables not wiping out `window` variables (they will
@@ -57,6 +327,8 @@ middleware.register('sandbox:execute', function (data, next, done) {
   data.window.console = data.window.console || {};
   data.window.console._notebookApi = context;
 
+  captureConsole(data.window);
+
   /**
    * Completed code cell execution and removes left over content.
    *
@@ -64,13 +336,59 @@ middleware.register('sandbox:execute', function (data, next, done) {
    * @param {Object} data
    */
   var complete = function (err, response) {
+    if (finished) { return; }
+
+    finished = true;
     window.clearTimeout(fallback);
+    executions = _.without(executions, execution);
     delete App._executeWindow;
     delete App._executeContext;
     delete data.window.console._notebookApi;
+
+    if (response) {
+      response.logs = logs;
+    }
+
     return done(err, response);
   };
 
+  /**
+   * Wrap a timer function of the sandbox window to keep track of the timers
+   * created by the cell, which are cleared when the execution is cancelled.
+   *
+   * @param  {String}   method
+   * @return {Function}
+   */
+  var trackTimer = function (method) {
+    return function () {
+      var id = data.window[method].apply(data.window, arguments);
+      timers.push(id);
+      return id;
+    };
+  };
+
+  context.setTimeout  = trackTimer('setTimeout');
+  context.setInterval = trackTimer('setInterval');
+
+  /**
+   * Cancel the execution, aborting requests and clearing timers created by
+   * the cell.
+   */
+  data.cancel = function () {
+    var err = Sandbox.cancelError();
+
+    complete(null, { result: err, isError: true });
+
+    _.each(timers, function (id) {
+      data.window.clearTimeout(id);
+      data.window.clearInterval(id);
+    });
+
+    _.each(requests, function (xhr) {
+      xhr.abort();
+    });
+  };
+
   /**
    * Pass in a timeout function that can be used to reset the async timer.
    *
@@ -0,0 +1,99 @@
+var _              = require('underscore');
+var url            = require('url');
+var config         = require('../../state/config');
+var middleware     = require('../../state/middleware');
+var notifyError    = require('../../lib/notify-error');
+var requestContent = require('../../lib/request-content');
+
+/**
+ * Always offer an empty notebook, using the default notebook content.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ */
+middleware.register('persistence:templates', function (data, next) {
+  data.templates.unshift({
+    title:       'Blank Notebook',
+    description: 'Start from a single empty code cell.',
+    content:     config.get('defaultContent')
+  });
+
+  return next();
+});
+
+/**
+ * Load templates from the json index at the `templatesUrl` config option. The
+ * index is an array of templates with a `title`, `description` and `url` to
+ * the notebook, which is resolved relative to the index. When the index can't
+ * be loaded, the user is notified and the other templates are still offered.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ */
+middleware.register('persistence:templates', function (data, next) {
+  var indexUrl = config.get('templatesUrl');
+
+  if (!indexUrl) {
+    return next();
+  }
+
+  var fail = function (err) {
+    notifyError('Could not load the notebook templates')(err);
+
+    return next();
+  };
+
+  return requestContent(indexUrl, function (err, content) {
+    var index;
+
+    if (err) {
+      return fail(err);
+    }
+
+    try {
+      index = JSON.parse(content);
+    } catch (e) {
+      return fail(e);
+    }
+
+    if (!_.isArray(index)) {
+      return fail(new Error('Templates index must be an array'));
+    }
+
+    _.each(index, function (template) {
+      data.templates.push(_.extend({}, template, {
+        url: url.resolve(indexUrl, template.url)
+      }));
+    });
+
+    return next();
+  });
+});
+
+/**
+ * Create a code cell for the API clients listed in the `apis` front matter of
+ * a template. The `apis` are an object of client names and RAML urls, any
+ * other value is ignored.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ */
+middleware.register('persistence:template', function (data, next) {
+  var apis = data.meta.apis;
+
+  delete data.meta.apis;
+
+  if (!_.isObject(apis) || _.isArray(apis) || _.isEmpty(apis)) {
+    return next();
+  }
+
+  data.cells.unshift({
+    type:  'code',
+    value: _.map(apis, function (uri, name) {
+      return 'API.createClient(' + JSON.stringify(name) + ', ' +
+        JSON.stringify(uri) + ');';
+    }).join('\n')
+  });
+
+  return next();
+});
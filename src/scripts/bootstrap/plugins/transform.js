@@ -0,0 +1,94 @@
+var buble      = require('buble');
+var awaitable  = require('../../lib/top-level-await');
+var middleware = require('../../state/middleware');
+
+/**
+ * Options for the transpiler. Async functions, generators and `for...of` loops
+ * can't be transpiled without a runtime, so they are left for the browser.
+ *
+ * @type {Object}
+ */
+var TRANSPILE_OPTIONS = {
+  objectAssign: 'Object.assign',
+  transforms:   {
+    asyncAwait: false,
+    generator:  false,
+    forOf:      false
+  }
+};
+
+/**
+ * Check whether the browser can parse the code itself.
+ *
+ * @param  {String}  code
+ * @return {Boolean}
+ */
+var isNativeSyntax = function (code) {
+  try {
+    /* jshint evil: true */
+    return !!new Function(code);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Create a syntax error with the position in the cell from a transpiler error.
+ * Lines and columns start at one, like in the editor.
+ *
+ * @param  {Error} err
+ * @return {Error}
+ */
+var transformError = function (err) {
+  if (!err.loc) {
+    return err;
+  }
+
+  var line    = err.loc.line;
+  var column  = err.loc.column + 1;
+  var message = err.message.replace(/\s*\(\d+:\d+\)$/, '');
+  var error   = new SyntaxError(
+    message + ' (line ' + line + ', column ' + column + ')'
+  );
+
+  error.line   = line;
+  error.column = column;
+  error.stack  = err.snippet || '';
+
+  return error;
+};
+
+/**
+ * Transpile ES2015+ syntax, so cells work in browsers without support for it.
+ * Code the browser can parse itself is left alone, since the transpiled code
+ * doesn't always behave the same (E.g. spreading a `Set`).
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ */
+middleware.register('sandbox:transform', function (data, next) {
+  if (isNativeSyntax(data.code)) {
+    return next();
+  }
+
+  try {
+    data.code = buble.transform(data.code, TRANSPILE_OPTIONS).code;
+  } catch (e) {
+    return next(transformError(e));
+  }
+
+  return next();
+});
+
+/**
+ * Wrap cells using top-level `await` in an async function. This runs before
+ * the transpiler, which can't parse `await` outside of functions.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ */
+middleware.register('sandbox:transform', function (data, next) {
+  data.code = awaitable(data.code);
+
+  return next();
+});
@@ -1,4 +1,5 @@
-var Backbone = require('backbone');
+var Backbone     = require('backbone');
+var notebookList = require('../lib/notebook-list');
 
 /**
  * A Backbone Collection designed to keep track of all notebooks, allowing
@@ -10,6 +11,13 @@ var PersistenceItems = module.exports = Backbone.Collection.extend({
   model: require('../models/persistence-item')
 });
 
+/**
+ * The order to keep the notebooks in, either `updatedAt` or `title`.
+ *
+ * @type {String}
+ */
+PersistenceItems.prototype.order = 'updatedAt';
+
 /**
  * Here we register to have Backbone keep this collection sorted for us.
  *
@@ -18,5 +26,5 @@ var PersistenceItems = module.exports = Backbone.Collection.extend({
  * @return {Number}
  */
 PersistenceItems.prototype.comparator = function (a, b) {
-  return +a.get('updatedAt') > +b.get('updatedAt') ? -1 : 1;
+  return notebookList.compare(this.order)(a.attributes, b.attributes);
 };
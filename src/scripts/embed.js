@@ -186,10 +186,11 @@ Notebook.prototype._makeFrame = function (el, options) {
 
   // Extend basic configuration options.
   options.config = extend({
-    id:       options.id,
-    url:      window.location.href,
-    embedded: true,
-    content:  options.content
+    id:        options.id,
+    url:       window.location.href,
+    embedded:  true,
+    content:   options.content,
+    sourceUrl: options.sourceUrl
   }, options.config);
 
   /**
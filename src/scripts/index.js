@@ -31,6 +31,7 @@ App.persistence = require('./state/persistence');
 App.Sandbox     = require('./lib/sandbox');
 App.PostMessage = require('./lib/post-message');
 
+App.WorkerSandbox = require('./lib/worker-sandbox');
 
 // Exposes CodeMirror to the world with our custom mods.
 App.CodeMirror = {
@@ -41,18 +42,20 @@ App.CodeMirror = {
 
 // Expose all application views.
 App.View = {
-  App:            require('./views/app'),
-  View:           require('./views/view'),
-  Notebook:       require('./views/notebook'),
-  EditNotebook:   require('./views/edit-notebook'),
-  Inspector:      require('./views/inspector'),
-  ErrorInspector: require('./views/error-inspector'),
-  CodeCell:       require('./views/code-cell'),
-  TextCell:       require('./views/text-cell'),
-  EditorCell:     require('./views/editor-cell'),
-  ResultCell:     require('./views/result-cell'),
-  CellButtons:    require('./views/cell-buttons'),
-  CellControls:   require('./views/cell-controls')
+  App:             require('./views/app'),
+  View:            require('./views/view'),
+  Notebook:        require('./views/notebook'),
+  EditNotebook:    require('./views/edit-notebook'),
+  Inspector:       require('./views/inspector'),
+  ErrorInspector:  require('./views/error-inspector'),
+  CodeCell:        require('./views/code-cell'),
+  TextCell:        require('./views/text-cell'),
+  EditorCell:      require('./views/editor-cell'),
+  ResultCell:      require('./views/result-cell'),
+  CellButtons:     require('./views/cell-buttons'),
+  CellControls:    require('./views/cell-controls'),
+  RevisionHistory: require('./views/revision-history'),
+  ImportExport:    require('./views/import-export')
 };
 
 // Expose application models.
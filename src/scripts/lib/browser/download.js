@@ -0,0 +1,28 @@
+/**
+ * Prompt the browser to download a file object with a `name`, `type` and
+ * `content`.
+ *
+ * @param {Object} file
+ */
+module.exports = function (file) {
+  var blob = new Blob([file.content], { type: file.type });
+
+  // Internet Explorer doesn't support the `download` attribute.
+  if (window.navigator.msSaveBlob) {
+    return window.navigator.msSaveBlob(blob, file.name);
+  }
+
+  var url  = window.URL.createObjectURL(blob);
+  var link = document.createElement('a');
+
+  link.href     = url;
+  link.download = file.name;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(function () {
+    window.URL.revokeObjectURL(url);
+  }, 0);
+};
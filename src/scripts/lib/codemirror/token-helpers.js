@@ -1,7 +1,8 @@
-var _          = require('underscore');
-var async      = require('async');
-var getToken   = require('./get-token');
-var middleware = require('../../state/middleware');
+var _            = require('underscore');
+var async        = require('async');
+var getToken     = require('./get-token');
+var varsHasValue = require('./vars-has-value');
+var middleware   = require('../../state/middleware');
 
 /**
  * Check whether the token is a possible accessor token (can read a result).
@@ -188,6 +189,57 @@ exports.isWhitespaceToken = function (token) {
   return token.type === null && /^\s*$/.test(token.string);
 };
 
+/**
+ * Collect the global variables defined and read by the code in an editor. The
+ * mode registers top-level declarations as globals (using the `globalVars`
+ * option) and marks variables in a local scope, so the remaining variables are
+ * globals. Assigning to a variable also counts as defining it.
+ *
+ * @param  {CodeMirror} cm
+ * @return {Object}
+ */
+exports.getGlobalVariables = function (cm) {
+  var defines = [];
+  var reads   = [];
+  var tokens  = [];
+  var globals = null;
+
+  _.each(_.range(cm.lineCount()), function (line) {
+    _.each(cm.getLineTokens(line, true), function (token) {
+      if (!exports.isWhitespaceToken(token) && token.type !== 'comment') {
+        tokens.push(token);
+      }
+    });
+  });
+
+  _.each(tokens, function (token, index) {
+    var next      = tokens[index + 1];
+    var operator  = next && next.type === 'operator' ? next.string : '';
+    var isDefined = !varsHasValue(globals, token.string) &&
+      varsHasValue(token.state.globalVars, token.string);
+
+    globals = token.state.globalVars;
+
+    if (token.type !== 'variable') {
+      return;
+    }
+
+    // Compound assignments (E.g. `+=`) read the variable before defining it.
+    if (isDefined || /^[^=!<>]*=$/.test(operator)) {
+      defines.push(token.string);
+    }
+
+    if (!isDefined && operator !== '=') {
+      reads.push(token.string);
+    }
+  });
+
+  return {
+    defines: _.uniq(defines),
+    reads:   _.uniq(reads)
+  };
+};
+
 /**
  * Retrieve the previous token in the editor, taking into account new lines.
  *
@@ -156,6 +156,34 @@ defineCodeShortcut({
   description: 'Execute the code cell contents'
 });
 
+defineCodeShortcut({
+  label: 'Run Above',
+  command: 'executeAbove',
+  keyMap: ['Shift', 'Alt', 'Up'],
+  description: 'Execute every cell above the current cell'
+});
+
+defineCodeShortcut({
+  label: 'Run Below',
+  command: 'executeBelow',
+  keyMap: ['Shift', 'Alt', 'Down'],
+  description: 'Execute the current cell and every cell below'
+});
+
+defineCodeShortcut({
+  label: 'Re-run All',
+  command: 'executeAll',
+  keyMap: ['Shift', 'Alt', 'Enter'],
+  description: 'Restart the notebook and execute every cell'
+});
+
+defineCodeShortcut({
+  label: 'Stop',
+  command: 'cancel',
+  keyMap: [isMac ? 'Cmd' : 'Ctrl', '.'],
+  description: 'Stop the executing code cell'
+});
+
 defineCodeShortcut({
   label: 'New Line',
   command: 'newLine',
@@ -0,0 +1,15 @@
+/**
+ * Detect the import format of notebook content from the file name or url and
+ * the content itself.
+ *
+ * @param  {String} name
+ * @param  {String} content
+ * @return {String}
+ */
+module.exports = function (name, content) {
+  if (/\.ipynb$/i.test(name) || /^\s*\{/.test(content)) {
+    return 'ipynb';
+  }
+
+  return 'markdown';
+};
@@ -0,0 +1,83 @@
+/**
+ * The maximum number of entries in the longest common subsequence table.
+ *
+ * @type {Number}
+ */
+var MAX_TABLE_SIZE = 250000;
+
+/**
+ * Compute a line based diff between two strings. Returns an array of changes
+ * with the `type` set to `added`, `removed` or `unchanged`.
+ *
+ * @param  {String} from
+ * @param  {String} to
+ * @return {Array}
+ */
+module.exports = function (from, to) {
+  var a      = String(from || '').split('\n');
+  var b      = String(to || '').split('\n');
+  var start  = 0;
+  var endA   = a.length;
+  var endB   = b.length;
+  var head   = [];
+  var tail   = [];
+  var middle = [];
+  var table  = [];
+  var i, j;
+
+  // Skip any lines shared at the start and end, which is the common case when
+  // comparing edited notebooks.
+  while (start < endA && start < endB && a[start] === b[start]) {
+    head.push({ type: 'unchanged', value: a[start++] });
+  }
+
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    tail.unshift({ type: 'unchanged', value: a[--endA] });
+    endB--;
+  }
+
+  // The table grows with the product of the changed line counts, so replace
+  // large changes wholesale instead of finding the smallest diff.
+  if ((endA - start) * (endB - start) > MAX_TABLE_SIZE) {
+    for (i = start; i < endA; i++) {
+      middle.push({ type: 'removed', value: a[i] });
+    }
+
+    for (j = start; j < endB; j++) {
+      middle.push({ type: 'added', value: b[j] });
+    }
+
+    return head.concat(middle, tail);
+  }
+
+  // Build the longest common subsequence table for the remaining lines.
+  for (i = endA; i >= start; i--) {
+    table[i] = [];
+
+    for (j = endB; j >= start; j--) {
+      if (i === endA || j === endB) {
+        table[i][j] = 0;
+      } else if (a[i] === b[j]) {
+        table[i][j] = table[i + 1][j + 1] + 1;
+      } else {
+        table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+  }
+
+  i = j = start;
+
+  while (i < endA || j < endB) {
+    if (i < endA && j < endB && a[i] === b[j]) {
+      middle.push({ type: 'unchanged', value: a[i] });
+      i++;
+      j++;
+    } else if (j < endB && (i === endA || table[i][j + 1] >= table[i + 1][j])) {
+      middle.push({ type: 'added', value: b[j++] });
+    } else {
+      middle.push({ type: 'removed', value: a[i++] });
+    }
+  }
+
+  return head.concat(middle, tail);
+};
@@ -0,0 +1,15 @@
+/**
+ * Generate a file name for a notebook export from the notebook title.
+ *
+ * @param  {String} title
+ * @param  {String} extension
+ * @return {String}
+ */
+module.exports = function (title, extension) {
+  var name = String(title || '')
+    .replace(/[^\w\s\-]+/g, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+
+  return (name || 'notebook') + '.' + extension;
+};
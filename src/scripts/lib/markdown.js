@@ -0,0 +1,45 @@
+var marked    = require('marked');
+var highlight = require('highlight.js');
+
+// Remove the html class prefix output.
+highlight.configure({ classPrefix: '' });
+
+/**
+ * Highlight a code snippet, falling back to auto detection when the language
+ * is not recognised.
+ *
+ * @param  {String} code
+ * @param  {String} lang
+ * @return {String}
+ */
+exports.highlight = function (code, lang) {
+  try {
+    if (highlight.getLanguage(lang)) {
+      return highlight.highlight(lang, code).value;
+    }
+
+    return highlight.highlightAuto(code).value;
+  } catch (e) {
+    return code;
+  }
+};
+
+/**
+ * Render a Markdown string to HTML.
+ *
+ * @param {String}   value
+ * @param {Function} done
+ */
+exports.render = function (value, done) {
+  return marked(value, {
+    gfm: true,
+    highlight: exports.highlight,
+    tables: true,
+    breaks: true,
+    pedantic: false,
+    sanitize: false,
+    smartLists: true,
+    smartypants: false,
+    langPrefix: 'lang-'
+  }, done);
+};
@@ -0,0 +1,9 @@
+var fs = require('fs');
+
+/**
+ * Source of the runtime included with notebooks exported as Node.js scripts,
+ * which is inlined from `runtimes/node.js` at build time.
+ *
+ * @type {String}
+ */
+module.exports = fs.readFileSync(__dirname + '/runtimes/node.js', 'utf8');
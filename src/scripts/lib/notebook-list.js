@@ -0,0 +1,93 @@
+/**
+ * Read the tags of a notebook from the meta data. Tags can be written in the
+ * front matter as a list or a comma separated string.
+ *
+ * @param  {Object} meta
+ * @return {Array}
+ */
+var getTags = exports.getTags = function (meta) {
+  var tags = meta && meta.tags;
+
+  if (typeof tags === 'string') {
+    tags = tags.split(',');
+  }
+
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  return tags.map(function (tag) {
+    return String(tag).trim();
+  }).filter(function (tag, index, tags) {
+    return tag && tags.indexOf(tag) === index;
+  });
+};
+
+/**
+ * Check whether a notebook list item matches the search query and has every
+ * required tag. The query is matched against the title and, when the item
+ * includes it, the notebook content.
+ *
+ * @param  {Object}  item
+ * @param  {Object}  options
+ * @return {Boolean}
+ */
+var matches = exports.matches = function (item, options) {
+  var query = String(options.query || '').trim().toLowerCase();
+  var tags  = getTags(item.meta);
+
+  var hasTags = (options.tags || []).every(function (tag) {
+    return tags.indexOf(tag) > -1;
+  });
+
+  if (!hasTags) {
+    return false;
+  }
+
+  if (!query) {
+    return true;
+  }
+
+  return [item.meta && item.meta.title, item.content].some(function (text) {
+    return typeof text === 'string' && text.toLowerCase().indexOf(query) > -1;
+  });
+};
+
+/**
+ * Create a function for sorting notebook list items. Sorts by the most recently
+ * updated by default, or alphabetically when `sort` is `title`.
+ *
+ * @param  {String}   sort
+ * @return {Function}
+ */
+var compare = exports.compare = function (sort) {
+  if (sort === 'title') {
+    return function (a, b) {
+      var aTitle = String(a.meta && a.meta.title || '').toLowerCase();
+      var bTitle = String(b.meta && b.meta.title || '').toLowerCase();
+
+      if (aTitle === bTitle) {
+        return +b.updatedAt - +a.updatedAt;
+      }
+
+      return aTitle < bTitle ? -1 : 1;
+    };
+  }
+
+  return function (a, b) {
+    return +b.updatedAt - +a.updatedAt;
+  };
+};
+
+/**
+ * Filter and sort an array of notebook list items.
+ *
+ * @param  {Array}  items
+ * @param  {Object} options
+ * @return {Array}
+ */
+exports.filter = function (items, options) {
+  return items.filter(function (item) {
+    return matches(item, options);
+  }).sort(compare(options.sort));
+};
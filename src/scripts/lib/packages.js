@@ -0,0 +1,68 @@
+var _           = require('underscore');
+var config      = require('../state/config');
+var persistence = require('../state/persistence');
+
+/**
+ * Match a package name with an optional version. E.g. `lodash`, `lodash@4` or
+ * `@scope/name@1.2.0`.
+ *
+ * @type {RegExp}
+ */
+var PACKAGE_REGEXP = /^((?:@[^\/@\s]+\/)?[^\/@\s]+)(?:@([^\/@\s]+))?$/;
+
+/**
+ * Parse a package name and version. The version defaults to `latest`.
+ *
+ * @param  {String} spec
+ * @return {Object}
+ */
+exports.parse = function (spec) {
+  var match = PACKAGE_REGEXP.exec(spec);
+
+  if (!match) {
+    throw new Error('Invalid package name "' + spec + '"');
+  }
+
+  return {
+    name:    match[1],
+    version: match[2] || 'latest'
+  };
+};
+
+/**
+ * Resolve the url of a package bundle using the `packageMirror` config option,
+ * which is a url template with `{name}` and `{version}` placeholders.
+ *
+ * @param  {Object} pkg
+ * @return {String}
+ */
+exports.resolve = function (pkg) {
+  return config.get('packageMirror')
+    .replace('{name}', pkg.name)
+    .replace('{version}', pkg.version);
+};
+
+/**
+ * Record a package used by the current notebook in the `dependencies` meta
+ * data, which maps package names to versions.
+ *
+ * @param {Object} pkg
+ */
+exports.record = function (pkg) {
+  var notebook = persistence.get('notebook');
+
+  if (!notebook) {
+    return;
+  }
+
+  var meta         = notebook.get('meta');
+  var dependencies = _.extend({}, meta.get('dependencies'));
+
+  // Avoid changing the notebook when the dependency is already recorded.
+  if (dependencies[pkg.name] === pkg.version) {
+    return;
+  }
+
+  dependencies[pkg.name] = pkg.version;
+  meta.set('dependencies', dependencies);
+};
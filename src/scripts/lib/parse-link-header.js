@@ -0,0 +1,16 @@
+/**
+ * Parse the link header for the specific links.
+ *
+ * @param  {String} header
+ * @return {Object}
+ */
+module.exports = function (header) {
+  var obj = {};
+
+  String(header || '').split(', ').forEach(function (part) {
+    var matches = /^<([^>]+)>; *rel="([^"]+)"$/.exec(part);
+    return matches && (obj[matches[2]] = matches[1]);
+  });
+
+  return obj;
+};
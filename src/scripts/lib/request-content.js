@@ -0,0 +1,21 @@
+var middleware = require('../state/middleware');
+
+/**
+ * Request the text content of a remote url using the `ajax` middleware, so any
+ * proxy plugins apply.
+ *
+ * @param {String}   url
+ * @param {Function} done
+ */
+module.exports = function (url, done) {
+  return middleware.trigger('ajax', {
+    url:    url,
+    method: 'GET'
+  }, function (err, xhr) {
+    if (!err && Math.floor(xhr.status / 100) !== 2) {
+      err = new Error('Request failed with status ' + xhr.status);
+    }
+
+    return done(err, err ? null : xhr.responseText);
+  });
+};
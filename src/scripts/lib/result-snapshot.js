@@ -0,0 +1,46 @@
+var typeOf    = require('./type');
+var stringify = require('./stringify');
+
+/**
+ * The maximum length of a snapshot persisted with the notebook.
+ *
+ * @type {Number}
+ */
+var MAX_SNAPSHOT_LENGTH = 10000;
+
+/**
+ * Create a serializable snapshot of a code cell result. Plain data is kept as
+ * a value that can be inspected again, everything else is kept as the string
+ * representation.
+ *
+ * @param  {*}       result
+ * @param  {Boolean} isError
+ * @return {Object}
+ */
+module.exports = function (result, isError) {
+  var type = typeOf(result);
+  var json;
+  var text;
+
+  if (!isError && (type === 'object' || type === 'array')) {
+    try {
+      json = JSON.stringify(result);
+    } catch (e) {}
+
+    if (json && json.length <= MAX_SNAPSHOT_LENGTH) {
+      return { value: JSON.parse(json) };
+    }
+  }
+
+  if (!isError && (type === 'number' || type === 'boolean' || type === 'null')) {
+    return { value: result };
+  }
+
+  text = stringify(result);
+
+  if (text.length > MAX_SNAPSHOT_LENGTH) {
+    text = text.substr(0, MAX_SNAPSHOT_LENGTH) + '…';
+  }
+
+  return isError ? { text: text, isError: true } : { text: text };
+};
@@ -0,0 +1,380 @@
+/* global Promise, Proxy */
+/* exported API, async, timeout */
+
+/**
+ * Runtime included with notebooks exported as Node.js scripts. It provides
+ * `API.createClient`, `API.authenticate`, `async()` and `timeout()` with the
+ * same behaviour as the notebook sandbox, using promises to execute the
+ * exported cells in order.
+ */
+var notebook = (function () {
+  var url   = require('url');
+  var http  = require('http');
+  var https = require('https');
+
+  var NOTEBOOK_TIMEOUT = 60000;
+  var HTTP_METHODS     = ['get', 'head', 'put', 'post', 'patch', 'delete'];
+  var JSON_REGEXP      = /^application\/([\w!#$%&*`\-.^~]*\+)?json$/i;
+
+  /**
+   * The currently executing cell state.
+   */
+  var cell = null;
+
+  /**
+   * Switch the current cell into async mode. Returns a callback which completes
+   * the cell, like `async()` in the notebook.
+   */
+  var async = function () {
+    if (!cell) {
+      throw new Error('async() must be called while a cell is executing');
+    }
+
+    return cell.async();
+  };
+
+  /**
+   * Reset the current cell timeout, like `timeout()` in the notebook.
+   */
+  var timeout = function (ms) {
+    if (!cell) {
+      throw new Error('timeout() must be called while a cell is executing');
+    }
+
+    return cell.timeout(ms);
+  };
+
+  /**
+   * Execute a single cell, resolving once any async callbacks, returned promises
+   * and API requests started by the cell have completed.
+   */
+  var execute = function (fn) {
+    return new Promise(function (resolve, reject) {
+      var state    = { isAsync: false, pending: [] };
+      var finished = false;
+      var timer;
+
+      cell = state;
+
+      var complete = function (err, result) {
+        if (finished) { return; }
+
+        finished = true;
+        clearTimeout(timer);
+
+        return Promise.all(state.pending).then(function () {
+          return err ? reject(err) : resolve(result);
+        }, reject);
+      };
+
+      state.timeout = function (ms) {
+        var time = +ms;
+
+        clearTimeout(timer);
+
+        if (isNaN(time) || time < 0) {
+          return complete(new Error('Cannot use timeout of ' + ms + 'ms'));
+        }
+
+        if (isFinite(time)) {
+          timer = setTimeout(function () {
+            return complete(new Error('Timeout of ' + time + 'ms exceeded'));
+          }, time);
+        }
+      };
+
+      state.async = function () {
+        state.isAsync = true;
+
+        return complete;
+      };
+
+      state.timeout(NOTEBOOK_TIMEOUT);
+
+      var result;
+
+      try {
+        result = fn();
+      } catch (e) {
+        return complete(e);
+      } finally {
+        cell = null;
+      }
+
+      if (state.isAsync) { return; }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(function (value) {
+          return complete(null, value);
+        }, complete);
+      }
+
+      return complete(null, result);
+    });
+  };
+
+  /**
+   * Execute every cell in order, stopping at the first error.
+   */
+  var run = function (cells) {
+    return cells.reduce(function (promise, fn) {
+      return promise.then(function () {
+        return execute(fn);
+      });
+    }, Promise.resolve()).catch(function (err) {
+      console.error(err && err.stack || err);
+      process.exitCode = 1;
+    });
+  };
+
+  /**
+   * Make an HTTP request, resolving with the `{ body, status, headers }` format
+   * used by notebook API clients.
+   */
+  var request = function (options) {
+    return new Promise(function (resolve, reject) {
+      var parsed    = url.parse(options.url);
+      var transport = parsed.protocol === 'https:' ? https : http;
+
+      var req = transport.request({
+        method:   options.method.toUpperCase(),
+        hostname: parsed.hostname,
+        port:     parsed.port,
+        path:     parsed.path,
+        auth:     options.auth,
+        headers:  options.headers
+      }, function (res) {
+        var chunks = [];
+
+        res.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+
+        res.on('end', function () {
+          var body = Buffer.concat(chunks).toString('utf8').trim();
+          var mime = String(res.headers['content-type'] || '').split(';')[0];
+
+          try {
+            body = body ? (JSON_REGEXP.test(mime) ? JSON.parse(body) : body) :
+              undefined;
+          } catch (e) {
+            return reject(new TypeError('Could not parse response: ' + e.message));
+          }
+
+          return resolve({ body: body, status: res.statusCode, headers: res.headers });
+        });
+      });
+
+      req.on('error', reject);
+      req.end(options.data);
+    });
+  };
+
+  /**
+   * Read a top level property from a RAML document.
+   */
+  var ramlProperty = function (raml, property) {
+    if (typeof raml === 'object') {
+      return raml[property];
+    }
+
+    var match = new RegExp('^' + property + ':[ \\t]*(.+)$', 'm').exec(raml);
+
+    return match ? match[1].trim().replace(/^(["'])(.*)\1$/, '$2') : undefined;
+  };
+
+  /**
+   * Set a value on an object from a dot separated path.
+   */
+  var setPath = function (obj, path, value) {
+    var key = path.pop();
+
+    path.forEach(function (part) {
+      obj = obj[part] = obj[part] || {};
+    });
+
+    obj[key] = value;
+  };
+
+  /**
+   * Create an API client, where properties and calls build up the request path
+   * in the same way as clients generated in the notebook.
+   */
+  var createClient = function (baseUri, config) {
+    var client = { config: config, authentication: {} };
+
+    var method = function (path, verb) {
+      return function (body, options, done) {
+        if (typeof options === 'function') {
+          done    = options;
+          options = null;
+        }
+
+        options = options || {};
+
+        var headers = Object.assign({}, config.headers, options.headers);
+        var query   = Object.assign({}, config.query, options.query);
+        var data;
+
+        if (verb === 'get' || verb === 'head') {
+          Object.assign(query, body);
+        } else if (body != null) {
+          data = typeof body === 'string' || Buffer.isBuffer(body) ?
+            body : JSON.stringify(body);
+
+          if (typeof data !== typeof body) {
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+          }
+        }
+
+        headers.Accept = headers.Accept || '*/*';
+
+        var auth = client.authentication;
+
+        if (auth.accessToken) {
+          headers.Authorization = 'Bearer ' + auth.accessToken;
+        }
+
+        var search  = new url.URLSearchParams(query).toString();
+        var promise = request({
+          url:     (options.baseUri || baseUri).replace(/\/+$/, '') + '/' +
+            path.join('/') + (search ? '?' + search : ''),
+          method:  verb,
+          headers: headers,
+          data:    data,
+          auth:    auth.username ? auth.username + ':' + auth.password : undefined
+        });
+
+        if (typeof done === 'function') {
+          promise.then(function (res) {
+            return done(null, res);
+          }, done);
+        }
+
+        // Wait for requests started by a cell before running the next cell.
+        if (cell) {
+          cell.pending.push(promise.catch(function () {}));
+        }
+
+        return promise;
+      };
+    };
+
+    var resource = function (path) {
+      return new Proxy(function () {}, {
+        get: function (target, key) {
+          if (typeof key !== 'string' || key === 'then') {
+            return undefined;
+          }
+
+          if (key === '!client') {
+            return client;
+          }
+
+          if (HTTP_METHODS.indexOf(key) > -1) {
+            return method(path, key);
+          }
+
+          if (key === 'extension') {
+            return function (extension) {
+              var last = path[path.length - 1] || '';
+
+              extension = extension ? String(extension).replace(/^\.?/, '.') : '';
+
+              return resource(path.slice(0, -1).concat(last + extension));
+            };
+          }
+
+          return resource(path.concat(key));
+        },
+        apply: function (target, self, args) {
+          // Calling the client directly requests a custom path.
+          if (!path.length) {
+            var context = args[1] || {};
+
+            return resource(String(args[0] || '').replace(/{([^}]+)}/g, function (match, key) {
+              return encodeURIComponent(context[key] == null ? '' : context[key]);
+            }).replace(/^\/+/, '').split('/'));
+          }
+
+          // Calling a path segment injects the uri parameters.
+          return resource(path.slice(0, -1).concat(args.map(function (arg) {
+            return encodeURIComponent(arg);
+          }).join('')));
+        }
+      });
+    };
+
+    return resource([]);
+  };
+
+  /**
+   * Node.js version of the `API` object available in the notebook.
+   */
+  var API = {
+    createClient: function (name, uri, config, done) {
+      if (typeof config === 'function') {
+        done   = config;
+        config = {};
+      }
+
+      config = config || {};
+
+      if (cell) {
+        cell.timeout(Infinity);
+      }
+
+      done = done || async();
+
+      return request({
+        url:     uri,
+        method:  'get',
+        headers: { Accept: 'application/raml+yaml, application/json, */*' }
+      }).then(function (res) {
+        if (Math.floor(res.status / 100) !== 2) {
+          throw new Error('HTTP ' + res.status);
+        }
+
+        var baseUri = config.baseUri || ramlProperty(res.body, 'baseUri');
+        var version = ramlProperty(res.body, 'version');
+
+        if (typeof baseUri !== 'string') {
+          throw new Error('A baseUri string is required');
+        }
+
+        baseUri = baseUri.replace(/{version}/g, version == null ? '' : version);
+
+        setPath(global, name.split('.'), createClient(baseUri, config));
+
+        return done(null, name + ' client created');
+      }).catch(done);
+    },
+    authenticate: function (client, method, options, done) {
+      if (typeof method === 'object') {
+        done    = options;
+        options = method;
+      }
+
+      if (typeof options === 'function') {
+        done    = options;
+        options = {};
+      }
+
+      // Interactive authentication is not available, so credentials (E.g. an
+      // `accessToken` or `username` and `password`) must be passed as options.
+      Object.assign(client['!client'].authentication, options);
+
+      if (typeof done === 'function') {
+        done(null, {});
+      }
+
+      return Promise.resolve({});
+    }
+  };
+
+  return { API: API, async: async, timeout: timeout, run: run };
+})();
+
+var API     = notebook.API;
+var async   = notebook.async;
+var timeout = notebook.timeout;
@@ -0,0 +1,671 @@
+/* jshint worker: true, evil: true */
+/* global Promise, Proxy, WeakMap */
+
+/**
+ * Runtime loaded into dedicated execution workers. It evaluates cells in the
+ * worker global scope with `async()`, `timeout()`, `load()` and `attachment()`
+ * available, and posts results back as a plain description of the value that
+ * the main thread can rebuild for the inspector. Context values that can't be
+ * copied into the worker (E.g. `API`) are remote proxies, which call the
+ * original functions on the main thread.
+ */
+(function () {
+  var MAX_DEPTH        = 3;
+  var ASYNC_TIMEOUT    = 60000;
+  var JSON_NAME_REGEXP = /\.json$/i;
+  var JSON_TYPE_REGEXP = /^application\/([\w\-.]+\+)?json\b/i;
+  var CONSOLE_METHODS  = ['log', 'info', 'warn', 'error', 'table'];
+  var PACKAGE_REGEXP   = /^((?:@[^\/@\s]+\/)?[^\/@\s]+)(?:@([^\/@\s]+))?$/;
+
+  var baseUrl     = '';
+  var attachments = [];
+
+  /**
+   * Package exports by url, evaluated once per worker.
+   */
+  var modules = {};
+
+  /**
+   * Map of executing cell ids to the execution, which can be cancelled or have
+   * its timeout changed by the main thread.
+   */
+  var executions = {};
+
+  /**
+   * Globals available before any cell executes, which are not sent back for
+   * completion.
+   */
+  var builtIns = {};
+
+  /**
+   * The execution evaluating synchronously, which waits for remote calls made
+   * without a callback.
+   */
+  var current = null;
+
+  /**
+   * The last started execution, which is told about timeouts set by remote
+   * calls.
+   */
+  var active = null;
+
+  /**
+   * Remote calls waiting for the main thread, by call id.
+   */
+  var calls = {};
+
+  /**
+   * Functions passed to remote calls, by callback id.
+   */
+  var callbacks = {};
+
+  /**
+   * Remote proxies and the path of the main thread value they represent.
+   */
+  var remotes = new WeakMap();
+
+  var callId     = 0;
+  var callbackId = 0;
+
+  /**
+   * Get the class name of an object, like the inspector in the main thread.
+   */
+  var getClassName = function (value) {
+    var name = Object.prototype.toString.call(value).slice(8, -1);
+
+    while (name === 'Object' && value) {
+      try {
+        if (Object.prototype.hasOwnProperty.call(value, 'constructor') &&
+          typeof value.constructor === 'function') {
+          name = value.constructor.name || name;
+        }
+      } catch (e) {}
+
+      value = Object.getPrototypeOf(value);
+    }
+
+    return name;
+  };
+
+  /**
+   * Describe a value so it can be posted to the main thread. Objects are
+   * described up to `depth` levels deep and repeated objects are referenced
+   * by id, so circular structures can be rebuilt.
+   */
+  var encode = function (value, depth, refs) {
+    var type = typeof value;
+
+    if (value === undefined) {
+      return { type: 'undefined' };
+    }
+
+    if (value === null || type === 'string' || type === 'boolean') {
+      return { type: 'primitive', value: value };
+    }
+
+    if (type === 'number') {
+      return { type: 'number', value: String(value) };
+    }
+
+    if (type !== 'object' && type !== 'function') {
+      return { type: 'primitive', value: String(value) };
+    }
+
+    // Any property of a remote proxy is another proxy, so describe it without
+    // reading properties.
+    if (remotes.has(value)) {
+      return {
+        type:   'function',
+        name:   '',
+        source: 'function () { [remote code] }'
+      };
+    }
+
+    if (type === 'function') {
+      return {
+        type:   'function',
+        name:   value.name || '',
+        source: Function.prototype.toString.call(value)
+      };
+    }
+
+    if (refs.indexOf(value) > -1) {
+      return { type: 'ref', id: refs.indexOf(value) };
+    }
+
+    var className = getClassName(value);
+
+    if (className === 'Date') {
+      return { type: 'date', value: value.getTime() };
+    }
+
+    if (className === 'RegExp') {
+      return { type: 'regexp', value: String(value) };
+    }
+
+    var id = refs.push(value) - 1;
+
+    var node = {
+      type:       Array.isArray(value) ? 'array' : 'object',
+      id:         id,
+      className:  className,
+      properties: {}
+    };
+
+    if (value instanceof Error) {
+      node.type    = 'error';
+      node.name    = String(value.name);
+      node.message = String(value.message);
+      node.stack   = String(value.stack || '');
+    }
+
+    if (depth > 0) {
+      Object.keys(value).forEach(function (key) {
+        try {
+          node.properties[key] = encode(value[key], depth - 1, refs);
+        } catch (e) {
+          node.properties[key] = encode(e, 0, refs);
+        }
+      });
+    }
+
+    return node;
+  };
+
+  /**
+   * Describe the globals created by cells, one level deep, for completion.
+   */
+  var encodeGlobals = function () {
+    var globals = {};
+
+    Object.getOwnPropertyNames(self).forEach(function (key) {
+      if (!builtIns[key]) {
+        try {
+          globals[key] = encode(self[key], 1, []);
+        } catch (e) {}
+      }
+    });
+
+    return globals;
+  };
+
+  /**
+   * List the main thread values referenced by remote proxies in the globals
+   * created by cells, which the main thread has to keep.
+   */
+  var heldRefs = function () {
+    var refs = {};
+    var seen = new WeakMap();
+
+    var walk = function (value, depth) {
+      if (remotes.has(value)) {
+        refs[remotes.get(value).ref] = true;
+        return;
+      }
+
+      if (depth < 0 || !value || seen.has(value) ||
+        (typeof value !== 'object' && typeof value !== 'function')) {
+        return;
+      }
+
+      seen.set(value, true);
+
+      Object.keys(value).forEach(function (key) {
+        try {
+          walk(value[key], depth - 1);
+        } catch (e) {}
+      });
+    };
+
+    Object.getOwnPropertyNames(self).forEach(function (key) {
+      if (!builtIns[key]) {
+        try {
+          walk(self[key], MAX_DEPTH);
+        } catch (e) {}
+      }
+    });
+
+    return Object.keys(refs);
+  };
+
+  /**
+   * Capture the worker console output while cells are executing, including
+   * logs from functions defined by earlier cells and loaded scripts. Output is
+   * added to every executing cell, since it can't be told apart.
+   */
+  var captureConsole = function () {
+    CONSOLE_METHODS.forEach(function (method) {
+      var original = self.console[method];
+
+      self.console[method] = function () {
+        var args = Array.prototype.slice.call(arguments);
+
+        Object.keys(executions).forEach(function (id) {
+          executions[id].logs.push({ level: method, args: args });
+        });
+
+        if (typeof original === 'function') {
+          return original.apply(self.console, arguments);
+        }
+      };
+    });
+  };
+
+  /**
+   * Create a callable target for remote proxies. Strict mode functions have no
+   * `caller` and `arguments` properties, which proxies must report as is.
+   */
+  var createTarget = function () {
+    'use strict';
+
+    return function () {};
+  };
+
+  /**
+   * Create a proxy for a value on the main thread. Reading a property returns a
+   * proxy for the property and calling the proxy calls the function on the main
+   * thread. Calls return a proxy for the result, which is also a promise of the
+   * result.
+   */
+  var remote = function (ref, path, promise) {
+    var proxy = new Proxy(createTarget(), {
+      get: function (target, key) {
+        if (key === 'then') {
+          return promise && function (resolve, reject) {
+            return promise.then(resolve, reject);
+          };
+        }
+
+        if (key === 'catch') {
+          return promise && function (reject) {
+            return promise.then(null, reject);
+          };
+        }
+
+        if (typeof key !== 'string') {
+          return undefined;
+        }
+
+        return remote(ref, path.concat(key));
+      },
+      apply: function (target, self, args) {
+        return call({ ref: ref, path: path }, args);
+      }
+    });
+
+    remotes.set(proxy, { ref: ref, path: path });
+
+    return proxy;
+  };
+
+  /**
+   * Describe a remote call argument. Functions become callbacks and remote
+   * proxies refer to the original value.
+   */
+  var encodeArgument = function (value) {
+    if (remotes.has(value)) {
+      return { type: 'remote', remote: remotes.get(value) };
+    }
+
+    if (typeof value === 'function') {
+      callbacks[++callbackId] = value;
+
+      return { type: 'callback', id: callbackId };
+    }
+
+    return { type: 'value', value: value };
+  };
+
+  /**
+   * Rebuild a value sent by the main thread.
+   */
+  var decodeValue = function (node) {
+    var value;
+
+    if (node.type === 'remote') {
+      return remote(node.remote.ref, node.remote.path);
+    }
+
+    if (node.type === 'error') {
+      value = new Error(node.message);
+      value.name  = node.name;
+      value.stack = node.stack;
+
+      Object.keys(node.properties).forEach(function (key) {
+        value[key] = node.properties[key];
+      });
+
+      return value;
+    }
+
+    return node.value;
+  };
+
+  /**
+   * Define remote proxies for the globals created on the main thread (E.g. API
+   * clients).
+   */
+  var defineGlobals = function (globals) {
+    (globals || []).forEach(function (key) {
+      if (!remotes.has(self[key])) {
+        self[key] = remote('globals', [key]);
+      }
+    });
+  };
+
+  /**
+   * Call a function on the main thread.
+   */
+  var call = function (target, args) {
+    var id      = ++callId;
+    var message = {
+      type:   'call',
+      id:     active && active.id,
+      call:   id,
+      remote: target,
+      args:   args.map(encodeArgument)
+    };
+
+    var promise = new Promise(function (resolve, reject) {
+      calls[id] = { resolve: resolve, reject: reject };
+    });
+
+    self.postMessage(message);
+
+    // Like synchronous requests in the frame, the cell waits for calls made
+    // without a callback.
+    if (current && !args.some(function (arg) {
+      return typeof arg === 'function';
+    })) {
+      current.waiting.push(promise);
+    }
+
+    return remote('call:' + id, [], promise);
+  };
+
+  /**
+   * Settle a remote call with the result from the main thread.
+   */
+  var settle = function (message) {
+    var pending = calls[message.call];
+
+    delete calls[message.call];
+    defineGlobals(message.globals);
+
+    if (message.isError) {
+      return pending.reject(decodeValue(message.value));
+    }
+
+    return pending.resolve(decodeValue(message.value));
+  };
+
+  /**
+   * Call a callback passed to the main thread.
+   */
+  var callback = function (message) {
+    var fn = callbacks[message.callback];
+
+    delete callbacks[message.callback];
+    defineGlobals(message.globals);
+
+    return fn.apply(self, message.args.map(decodeValue));
+  };
+
+  /**
+   * Read a notebook attachment. JSON attachments are parsed.
+   */
+  var attachment = function (name) {
+    var file = attachments.filter(function (attachment) {
+      return attachment.name === name;
+    })[0];
+
+    if (!file) {
+      throw new Error('No attachment named "' + name + '"');
+    }
+
+    if (JSON_NAME_REGEXP.test(file.name) || JSON_TYPE_REGEXP.test(file.type)) {
+      return JSON.parse(file.content);
+    }
+
+    return file.content;
+  };
+
+  /**
+   * Load a script into the worker, relative to the notebook page.
+   */
+  var load = function (src, done) {
+    self.importScripts(new URL(src, baseUrl).href);
+
+    return done && done();
+  };
+
+  /**
+   * Require a CommonJS or UMD package bundle from the package mirror. Used
+   * packages are added to `dependencies`. Only loaded packages are returned,
+   * unless `load` is set, to keep the same API as the frame.
+   */
+  var requirePackage = function (spec, mirror, dependencies, load) {
+    var match = PACKAGE_REGEXP.exec(spec);
+
+    if (!match) {
+      throw new Error('Invalid package name "' + spec + '"');
+    }
+
+    var version = match[2] || 'latest';
+    var url     = new URL(
+      mirror.replace('{name}', match[1]).replace('{version}', version), baseUrl
+    ).href;
+
+    if (!modules.hasOwnProperty(url) && !load) {
+      throw new Error(
+        'Package "' + spec + '" has not been loaded, use ' +
+        '`await require.async("' + spec + '")` first'
+      );
+    }
+
+    if (!modules.hasOwnProperty(url)) {
+      var xhr    = new XMLHttpRequest();
+      var module = modules[url] = { exports: {} };
+
+      try {
+        xhr.open('GET', url, false);
+        xhr.send();
+
+        if (Math.floor(xhr.status / 100) !== 2) {
+          throw new Error('Could not fetch ' + url);
+        }
+
+        new Function('module', 'exports', 'require',
+          xhr.responseText + '\n//# sourceURL=' + url
+        ).call(module.exports, module, module.exports, function (spec) {
+          return requirePackage(spec, mirror, dependencies, load);
+        });
+      } catch (e) {
+        delete modules[url];
+        throw e;
+      }
+    }
+
+    dependencies[match[1]] = version;
+
+    return modules[url].exports;
+  };
+
+  /**
+   * Execute a cell in the global scope of the worker.
+   */
+  var execute = function (message) {
+    var context   = message.context || {};
+    var isAsync   = false;
+    var finished  = false;
+    var timers    = [];
+    var logs      = [];
+    var requires  = {};
+    var execution = { id: message.id, waiting: [], logs: logs };
+    var result, isError, fallback;
+
+    var complete = function (isError, result) {
+      if (finished) { return; }
+
+      finished = true;
+      clearTimeout(fallback);
+      delete executions[message.id];
+      delete self.console._notebookApi;
+
+      if (active === execution) {
+        active = null;
+      }
+
+      self.postMessage({
+        type:         'result',
+        id:           message.id,
+        isError:      isError,
+        result:       encode(result, MAX_DEPTH, []),
+        globals:      encodeGlobals(),
+        refs:         heldRefs(),
+        dependencies: requires,
+        logs:         logs.map(function (log) {
+          return {
+            level: log.level,
+            args:  log.args.map(function (arg) {
+              return encode(arg, MAX_DEPTH, []);
+            })
+          };
+        })
+      });
+    };
+
+    var timeout = execution.timeout = context.timeout = function (ms) {
+      var time = +ms;
+
+      clearTimeout(fallback);
+
+      if (isNaN(time) || time < 0) {
+        return complete(true, new Error('Cannot use timeout of ' + ms + 'ms'));
+      }
+
+      self.postMessage({ type: 'timeout', id: message.id, timeout: time });
+
+      if (isFinite(time)) {
+        fallback = setTimeout(function () {
+          return complete(true, new Error('Timeout of ' + time + 'ms exceeded'));
+        }, time);
+      }
+    };
+
+    context.async = function () {
+      isAsync = true;
+
+      return function (err, result) {
+        return complete(!!err, err || result);
+      };
+    };
+
+    var trackTimer = function (method) {
+      return function () {
+        var id = self[method].apply(self, arguments);
+        timers.push(id);
+        return id;
+      };
+    };
+
+    (message.remotes || []).forEach(function (key) {
+      context[key] = remote('context', [key]);
+    });
+
+    context.load        = load;
+    context.require     = function (spec) {
+      return requirePackage(spec, message.packageMirror, requires);
+    };
+    context.attachment  = attachment;
+    context.setTimeout  = trackTimer('setTimeout');
+    context.setInterval = trackTimer('setInterval');
+
+    // Fetching synchronously only blocks the worker, not the page.
+    context.require.async = function (spec) {
+      return new Promise(function (resolve) {
+        return resolve(
+          requirePackage(spec, message.packageMirror, requires, true)
+        );
+      });
+    };
+
+    execution.cancel = function () {
+      var err = new Error('Execution cancelled');
+      err.cancelled = true;
+
+      complete(true, err);
+
+      timers.forEach(function (id) {
+        clearTimeout(id);
+        clearInterval(id);
+      });
+    };
+
+    executions[message.id] = active = current = execution;
+    attachments = message.attachments || [];
+    self.console._notebookApi = context;
+
+    timeout(ASYNC_TIMEOUT);
+
+    try {
+      result  = self.eval(
+        'with (self.console._notebookApi) {\n' + message.code + '\n}'
+      );
+      isError = false;
+    } catch (e) {
+      result  = e;
+      isError = true;
+    }
+
+    current = null;
+
+    if (!isAsync && !isError && (execution.waiting.length ||
+      result && typeof result.then === 'function')) {
+      return Promise.all(execution.waiting.concat([result]))
+        .then(function (values) {
+          return complete(false, values[values.length - 1]);
+        }, function (err) {
+          return complete(true, err);
+        });
+    }
+
+    if (!isAsync || isError) {
+      return complete(isError, result);
+    }
+  };
+
+  self.onmessage = function (e) {
+    var execution = executions[e.data.id];
+
+    if (e.data.type === 'init') {
+      baseUrl = e.data.baseUrl;
+    }
+
+    if (e.data.type === 'execute') {
+      return execute(e.data);
+    }
+
+    if (e.data.type === 'return' && calls[e.data.call]) {
+      return settle(e.data);
+    }
+
+    if (e.data.type === 'callback' && callbacks[e.data.callback]) {
+      return callback(e.data);
+    }
+
+    if (e.data.type === 'cancel' && execution) {
+      return execution.cancel();
+    }
+
+    if (e.data.type === 'timeout' && execution) {
+      return execution.timeout(e.data.timeout);
+    }
+  };
+
+  captureConsole();
+
+  Object.getOwnPropertyNames(self).forEach(function (key) {
+    builtIns[key] = true;
+  });
+})();
@@ -10,27 +10,87 @@ var Sandbox = module.exports = function () {
   this.frame.style.display = 'none';
   document.body.appendChild(this.frame);
   this.window = this.frame.contentWindow;
+
+  // Executions are numbered in the order they start.
+  this.executionCount = 0;
 };
 
 /**
- * Execute code in the sandbox environment.
+ * Execute code in the sandbox environment. Returns an execution object with the
+ * execution `count` and a `cancel` method, which ends the execution with a
+ * cancellation error. The `count` is also passed back with the result, since
+ * executions can complete before returning (E.g. with syntax errors).
  *
  * @param  {String}   code
  * @param  {Function} done
+ * @return {Object}
  */
 Sandbox.prototype.execute = function (code, done) {
-  var global = this.window;
-
-  middleware.trigger('sandbox:context', {}, function (err, context) {
-    // Allow middleware to run the execution event. This is the perfect handler
-    // for async execution cells and even allows people to hook into the code
-    // before it runs. Think linters, etc.
-    middleware.trigger('sandbox:execute', {
-      code:    code,
-      context: context,
-      window:  global
-    }, done);
+  var count    = ++this.executionCount;
+  var finished = false;
+  var data     = {
+    code:   code,
+    window: this.window
+  };
+
+  /**
+   * Make sure the callback is only called once, even when cancelled.
+   *
+   * @param {Error}  err
+   * @param {Object} result
+   */
+  var complete = function (err, result) {
+    if (finished) { return; }
+
+    finished = true;
+
+    if (result) {
+      result.count = count;
+    }
+
+    return done(err, result);
+  };
+
+  // Transform the source before it's executed, E.g. transpiling syntax the
+  // browser may not support. Errors end the execution, without running it.
+  middleware.trigger('sandbox:transform', {
+    code: code
+  }, function (err, transform) {
+    if (finished) { return; }
+
+    if (err) {
+      return complete(null, { result: err, isError: true });
+    }
+
+    data.code = transform.code;
+
+    middleware.trigger('sandbox:context', {}, function (err, context) {
+      if (finished) { return; }
+
+      data.context = context;
+
+      // Allow middleware to run the execution event. This is the perfect
+      // handler for async execution cells and even allows people to hook into
+      // the code before it runs. Think linters, etc. Execution middleware can
+      // set a `cancel` function to clean up when the execution is cancelled.
+      middleware.trigger('sandbox:execute', data, complete);
+    });
   });
+
+  return {
+    count:  count,
+    cancel: function () {
+      if (finished) { return; }
+
+      if (data.cancel) {
+        return data.cancel();
+      }
+
+      var err = Sandbox.cancelError();
+
+      return complete(null, { result: err, isError: true });
+    }
+  };
 };
 
 /**
@@ -45,3 +105,14 @@ Sandbox.prototype.remove = function () {
 
   return this;
 };
+
+/**
+ * Create the error used to end cancelled executions.
+ *
+ * @return {Error}
+ */
+Sandbox.cancelError = function () {
+  var err = new Error('Execution cancelled');
+  err.cancelled = true;
+  return err;
+};
@@ -0,0 +1,222 @@
+var _     = require('underscore');
+var acorn = require('acorn');
+
+/**
+ * Code is parsed inside an async function, so top-level `await` is valid. The
+ * prefix is on the first line, so line numbers are kept.
+ *
+ * @type {String}
+ */
+var PREFIX = '(async function () {';
+var SUFFIX = '\n}).call(this)';
+
+/**
+ * Node types which start a new function scope. Declarations and `await`
+ * expressions inside them are left alone.
+ *
+ * @type {Array}
+ */
+var FUNCTION_TYPES = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression'
+];
+
+/**
+ * Collect the variable names declared by a declaration pattern.
+ *
+ * @param {Object} node
+ * @param {Array}  names
+ */
+var collectNames = function (node, names) {
+  if (!node) {
+    return;
+  }
+
+  if (node.type === 'Identifier') {
+    return names.push(node.name);
+  }
+
+  if (node.type === 'ObjectPattern') {
+    return _.each(node.properties, function (property) {
+      collectNames(property.value || property.argument, names);
+    });
+  }
+
+  if (node.type === 'ArrayPattern') {
+    return _.each(node.elements, function (element) {
+      collectNames(element, names);
+    });
+  }
+
+  if (node.type === 'AssignmentPattern') {
+    return collectNames(node.left, names);
+  }
+
+  if (node.type === 'RestElement') {
+    return collectNames(node.argument, names);
+  }
+};
+
+/**
+ * Replace a `var` declaration with assignments, since the variables are
+ * declared outside of the async function. The code is only changed in place,
+ * to keep line numbers.
+ *
+ * @param {Object} node
+ * @param {Object} parent
+ * @param {Object} state
+ */
+var hoistVariables = function (node, parent, state) {
+  var isLeft = parent && parent.left === node;
+  var isInit = parent && parent.init === node;
+
+  // Remove the `var` keyword, adding a semicolon to statements to avoid the
+  // assignment being parsed as a call on the previous line.
+  state.replacements.push({
+    start: node.start,
+    end:   node.declarations[0].start,
+    text:  isLeft || isInit ? '' : ';'
+  });
+
+  _.each(node.declarations, function (declarator) {
+    collectNames(declarator.id, state.names);
+
+    // The left side of `for (var key in obj)` is a valid assignment target.
+    if (isLeft) {
+      return;
+    }
+
+    // Wrap each declaration in parens, since object patterns are invalid at
+    // the start of a statement.
+    state.replacements.push({
+      start: declarator.start,
+      end:   declarator.start,
+      text:  '('
+    }, {
+      start: declarator.end,
+      end:   declarator.end,
+      text:  ')'
+    });
+  });
+};
+
+/**
+ * Walk the syntax tree, without entering nested functions.
+ *
+ * @param {Object} node
+ * @param {Object} parent
+ * @param {Object} state
+ */
+var walk = function (node, parent, state) {
+  if (node.type === 'AwaitExpression') {
+    state.hasAwait = true;
+  }
+
+  if (node.type === 'ForOfStatement' && node.await) {
+    state.hasAwait = true;
+  }
+
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    hoistVariables(node, parent, state);
+  }
+
+  if (_.contains(FUNCTION_TYPES, node.type)) {
+    return;
+  }
+
+  _.each(node, function (value) {
+    _.each(_.isArray(value) ? value : [value], function (child) {
+      if (child && typeof child.type === 'string') {
+        walk(child, node, state);
+      }
+    });
+  });
+};
+
+/**
+ * Transform code using top-level `await` into an async function that returns
+ * the value of the last expression. Top-level `var` declarations are declared
+ * outside the function and function declarations are assigned to the global
+ * object, so they remain globals. Code without top-level `await` is returned
+ * unchanged.
+ *
+ * @param  {String} code
+ * @return {String}
+ */
+module.exports = function (code) {
+  var source = PREFIX + code + SUFFIX;
+  var ast;
+
+  // Avoid parsing code that can't be using `await`.
+  if (!/\bawait\b/.test(code)) {
+    return code;
+  }
+
+  // Leave syntax errors to be reported by the execution.
+  try {
+    ast = acorn.parse(source, { ecmaVersion: 2018 });
+  } catch (e) {
+    return code;
+  }
+
+  var body  = ast.body[0].expression.callee.object.body.body;
+  var state = {
+    source:       source,
+    names:        [],
+    functions:    [],
+    hasAwait:     false,
+    replacements: []
+  };
+
+  _.each(body, function (node) {
+    // Function declarations are hoisted inside the async function, so they
+    // are exposed as globals when it starts.
+    if (node.type === 'FunctionDeclaration') {
+      return state.functions.push(node.id.name);
+    }
+
+    walk(node, null, state);
+  });
+
+  if (!state.hasAwait) {
+    return code;
+  }
+
+  // Return the last expression as the result, like `eval` would.
+  var last = _.last(_.reject(body, function (node) {
+    return _.contains(['FunctionDeclaration', 'EmptyStatement'], node.type);
+  }));
+
+  if (last && last.type === 'ExpressionStatement') {
+    state.replacements.push({
+      start: last.expression.start,
+      end:   last.expression.start,
+      text:  'return ('
+    }, {
+      start: last.expression.end,
+      end:   last.expression.end,
+      text:  ')'
+    });
+  }
+
+  // Replace from the end, so earlier positions stay valid.
+  var replacements = _.sortBy(state.replacements, function (replacement) {
+    return -replacement.start;
+  });
+
+  _.each(replacements, function (replacement) {
+    source = source.slice(0, replacement.start) + replacement.text +
+      source.slice(replacement.end);
+  });
+
+  source = PREFIX + _.map(state.functions, function (name) {
+    return 'this.' + name + ' = ' + name + ';';
+  }).join('') + source.slice(PREFIX.length);
+
+  if (!state.names.length) {
+    return source;
+  }
+
+  return 'var ' + _.uniq(state.names).join(', ') + '; ' + source;
+};
@@ -0,0 +1,16 @@
+var fs = require('fs');
+
+/**
+ * Source of the runtime loaded into dedicated execution workers, which is
+ * inlined from `runtimes/worker.js` at build time.
+ *
+ * Messages received: `init` (`baseUrl`), `execute` (`id`, `code`, `context`,
+ * `remotes`, `attachments`, `packageMirror`), `cancel` (`id`), `timeout` (`id`,
+ * `timeout`), `return` (`call`, `isError`, `value`, `globals`) and `callback`
+ * (`callback`, `args`, `globals`). Messages sent: `timeout` (`id`, `timeout`),
+ * `call` (`id`, `call`, `remote`, `args`) and `result` (`id`, `isError`,
+ * `result`, `globals`, `logs`, `dependencies`).
+ *
+ * @type {String}
+ */
+module.exports = fs.readFileSync(__dirname + '/runtimes/worker.js', 'utf8');
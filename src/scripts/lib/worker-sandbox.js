@@ -0,0 +1,654 @@
+/* global App, Promise, Proxy, WeakMap */
+var _           = require('underscore');
+var Sandbox     = require('./sandbox');
+var packages    = require('./packages');
+var config      = require('../state/config');
+var middleware  = require('../state/middleware');
+var persistence = require('../state/persistence');
+var runtime     = require('./worker-runtime');
+
+/**
+ * Extra time given to the worker to report its own timeout before it is
+ * considered unresponsive and terminated.
+ *
+ * @type {Number}
+ */
+var WATCHDOG_GRACE = 1000;
+
+/**
+ * The initial cell timeout, which the worker resets when `timeout` is called.
+ *
+ * @type {Number}
+ */
+var ASYNC_TIMEOUT = 60000;
+
+/**
+ * Cache of constructors used to give decoded objects their original class name
+ * in the inspector.
+ *
+ * @type {Object}
+ */
+var constructors = {};
+
+/**
+ * Get a constructor function with the class name.
+ *
+ * @param  {String}   name
+ * @return {Function}
+ */
+var getConstructor = function (name) {
+  if (!constructors[name]) {
+    var constructor = constructors[name] = function () {};
+
+    try {
+      Object.defineProperty(constructor, 'name', { value: name });
+    } catch (e) {}
+  }
+
+  return constructors[name];
+};
+
+/**
+ * Rebuild a value described by the worker runtime.
+ *
+ * @param  {Object} node
+ * @param  {Object} refs
+ * @return {*}
+ */
+var decode = function (node, refs) {
+  var value;
+
+  if (node.type === 'undefined') {
+    return undefined;
+  }
+
+  if (node.type === 'primitive') {
+    return node.value;
+  }
+
+  if (node.type === 'number') {
+    return Number(node.value);
+  }
+
+  if (node.type === 'ref') {
+    return refs[node.id];
+  }
+
+  if (node.type === 'date') {
+    return new Date(node.value);
+  }
+
+  if (node.type === 'regexp') {
+    var index = node.value.lastIndexOf('/');
+
+    return new RegExp(node.value.slice(1, index), node.value.slice(index + 1));
+  }
+
+  // Functions can't be transferred, so render the source and throw when called.
+  if (node.type === 'function') {
+    value = function () {
+      throw new Error('Functions from the worker can not be called');
+    };
+
+    value.toString = function () {
+      return node.source;
+    };
+
+    return value;
+  }
+
+  if (node.type === 'error') {
+    value = refs[node.id] = new Error(node.message);
+    value.name  = node.name;
+    value.stack = node.stack;
+  } else if (node.type === 'array') {
+    value = refs[node.id] = [];
+  } else {
+    value = refs[node.id] = node.className === 'Object' ?
+      {} : Object.create(getConstructor(node.className).prototype);
+  }
+
+  _.each(node.properties, function (property, key) {
+    value[key] = decode(property, refs);
+  });
+
+  return value;
+};
+
+/**
+ * Check whether a context value has to stay on the main thread, since it's a
+ * function or an object with methods (E.g. `API`).
+ *
+ * @param  {*}       value
+ * @return {Boolean}
+ */
+var isRemote = function (value) {
+  return _.isFunction(value) || _.isObject(value) && _.some(value, _.isFunction);
+};
+
+/**
+ * Copy a value sent to the worker, which must be possible to clone.
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+var copy = function (value) {
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (e) {
+    return String(value);
+  }
+};
+
+/**
+ * Creates a sandbox which executes code in a dedicated web worker. Unlike the
+ * frame sandbox, a cell that never finishes can be interrupted by terminating
+ * the worker. Context values that can't be copied into the worker, like `API`,
+ * are called from the worker by message, so API clients are still created and
+ * requested on the main thread with the regular ajax middleware.
+ *
+ * @return {WorkerSandbox}
+ */
+var WorkerSandbox = module.exports = function () {
+  // Globals defined by executed cells, used for completion and inspection. It
+  // inherits the page globals so built-in constructors are still available.
+  this.window = Object.create(window);
+  this._id    = 0;
+
+  // Executions are numbered in the order they start.
+  this.executionCount = 0;
+
+  this.start();
+};
+
+/**
+ * Check whether the browser supports the worker runtime, which needs workers
+ * created from blobs, proxies, weak maps, promises and the `URL` constructor.
+ *
+ * @return {Boolean}
+ */
+WorkerSandbox.isSupported = function () {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+    typeof Proxy === 'undefined' || typeof WeakMap === 'undefined' ||
+    typeof Promise === 'undefined' || typeof URL === 'undefined' ||
+    typeof URL.createObjectURL !== 'function') {
+    return false;
+  }
+
+  try {
+    return new URL('test', window.location.href).href !== undefined;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Start a new worker.
+ *
+ * @return {WorkerSandbox}
+ */
+WorkerSandbox.prototype.start = function () {
+  var blob = new Blob([runtime], { type: 'application/javascript' });
+
+  this._url     = URL.createObjectURL(blob);
+  this._pending = {};
+  this._refs    = {};
+  this._globals = {};
+  this._refId   = 0;
+  this._calls   = 0;
+  this.worker   = new Worker(this._url);
+
+  this.worker.onmessage = _.bind(this._message, this);
+  this.worker.postMessage({ type: 'init', baseUrl: window.location.href });
+
+  return this;
+};
+
+/**
+ * Handle messages from the worker.
+ *
+ * @param {MessageEvent} e
+ */
+WorkerSandbox.prototype._message = function (e) {
+  var message = e.data;
+  var pending = this._pending[message.id];
+
+  // Remote calls are made by callbacks too, after the execution completed.
+  if (message.type === 'call') {
+    return this._call(message);
+  }
+
+  if (!pending) {
+    return;
+  }
+
+  if (message.type === 'timeout') {
+    return this._timeout(message.id, message.timeout);
+  }
+
+  if (message.type === 'result') {
+    var globals = this.window;
+
+    // Replace the completion globals in place, since the same object is shared
+    // with the completion options.
+    _.each(_.keys(globals), function (key) {
+      delete globals[key];
+    });
+
+    _.each(message.globals, function (global, key) {
+      globals[key] = decode(global, {});
+    });
+
+    // Globals created on the main thread complete with the real objects.
+    _.extend(globals, this._globals);
+
+    _.each(message.dependencies, function (version, name) {
+      packages.record({ name: name, version: version });
+    });
+
+    // Values returned to the worker are only kept while cells are executing
+    // or globals refer to them.
+    if (_.size(this._pending) === 1) {
+      this._release(message.refs);
+    }
+
+    return this._complete(message.id, null, {
+      result:  decode(message.result, {}),
+      isError: message.isError,
+      logs:    _.map(message.logs, function (log) {
+        return {
+          level: log.level,
+          args:  _.map(log.args, function (arg) {
+            return decode(arg, {});
+          })
+        };
+      })
+    });
+  }
+};
+
+/**
+ * Resolve a value on the main thread referenced by the worker. Returns the
+ * value with the object it was read from, to call methods with.
+ *
+ * @param  {Object} remote
+ * @return {Object}
+ */
+WorkerSandbox.prototype._resolve = function (remote) {
+  var parent = null;
+  var value  = remote.ref === 'context' ? this._context :
+    remote.ref === 'globals' ? this._globals : this._refs[remote.ref];
+
+  // Values are released once the worker no longer refers to them.
+  if (value === undefined) {
+    throw new Error('The value is no longer available to the worker');
+  }
+
+  _.each(remote.path, function (key) {
+    parent = value;
+    value  = parent[key];
+  });
+
+  return { parent: parent, value: value };
+};
+
+/**
+ * Describe a value for the worker. Functions and objects with methods are kept
+ * on the main thread and referenced, the rest is copied.
+ *
+ * @param  {*}      value
+ * @param  {String} ref
+ * @return {Object}
+ */
+WorkerSandbox.prototype._encode = function (value, ref) {
+  if (isRemote(value)) {
+    this._refs[ref] = value;
+
+    return { type: 'remote', remote: { ref: ref, path: [] } };
+  }
+
+  if (value instanceof Error) {
+    return {
+      type:       'error',
+      name:       String(value.name),
+      message:    String(value.message),
+      stack:      String(value.stack || ''),
+      properties: copy(_.omit(value, 'name', 'message', 'stack'))
+    };
+  }
+
+  return { type: 'value', value: copy(value) };
+};
+
+/**
+ * Call a function on the main thread for the worker. The call result, or the
+ * result passed to `async()`, is posted back along with the globals created on
+ * the main thread (E.g. by `API.createClient`). Functions passed from the
+ * worker are callbacks, which post their arguments back to the worker.
+ *
+ * @param {Object} message
+ */
+WorkerSandbox.prototype._call = function (message) {
+  var worker   = this.worker;
+  var globals  = this._globals;
+  var isAsync  = false;
+  var replied  = false;
+  var post     = _.bind(function (data) {
+    // Ignore results for a worker that has been terminated.
+    if (this.worker !== worker) {
+      return;
+    }
+
+    data.globals = _.keys(this._globals);
+
+    return worker.postMessage(data);
+  }, this);
+
+  var reply = _.bind(function (isError, value) {
+    if (replied) { return; }
+
+    replied = true;
+
+    // Stop creating globals for the worker once no call is running, so cells
+    // in other sandboxes don't define them here. Calls of a terminated worker
+    // were already stopped.
+    if (this.worker === worker && --this._calls === 0 &&
+      App._executeWindow === globals) {
+      delete App._executeWindow;
+    }
+
+    return post({
+      type:    'return',
+      call:    message.call,
+      isError: isError,
+      value:   this._encode(value, 'call:' + message.call)
+    });
+  }, this);
+
+  var value;
+
+  // Functions on the main thread use the execution context of the cell, which
+  // forwards timeouts to the worker. Anything created on the execution window
+  // (E.g. API clients) is made available as a global in the worker.
+  this._calls++;
+  App._executeWindow  = globals;
+  App._executeContext = {
+    timeout: function (ms) {
+      return post({ type: 'timeout', id: message.id, timeout: ms });
+    },
+    async: function () {
+      isAsync = true;
+
+      return function (err, result) {
+        return reply(!!err, err || result);
+      };
+    }
+  };
+
+  try {
+    var target = this._resolve(message.remote);
+    var args   = _.map(message.args, function (arg) {
+      if (arg.type === 'remote') {
+        return this._resolve(arg.remote).value;
+      }
+
+      if (arg.type === 'callback') {
+        return _.bind(function () {
+          return post({
+            type:     'callback',
+            callback: arg.id,
+            args:     _.map(arguments, function (value) {
+              return this._encode(value, 'value:' + (++this._refId));
+            }, this)
+          });
+        }, this);
+      }
+
+      return arg.value;
+    }, this);
+
+    value = target.value.apply(target.parent, args);
+  } catch (e) {
+    return reply(true, e);
+  } finally {
+    delete App._executeContext;
+  }
+
+  if (!isAsync) {
+    return reply(false, value);
+  }
+};
+
+/**
+ * Release the main thread values referenced by the worker, except the values
+ * still referenced by the globals of the worker.
+ *
+ * @param {Array} held
+ */
+WorkerSandbox.prototype._release = function (held) {
+  this._refs = _.pick(this._refs, held || []);
+};
+
+/**
+ * Terminate the worker when it fails to report back in time, which happens
+ * when a cell is stuck in a synchronous loop. The execution fails with the
+ * error.
+ *
+ * @param {Number} id
+ * @param {Number} delay
+ * @param {Error}  err
+ */
+WorkerSandbox.prototype._watch = function (id, delay, err) {
+  var pending = this._pending[id];
+
+  window.clearTimeout(pending.watchdog);
+
+  if (!isFinite(delay)) {
+    return;
+  }
+
+  pending.watchdog = window.setTimeout(_.bind(function () {
+    // Remove the execution before terminating, so it fails with the error.
+    delete this._pending[id];
+    this.terminate();
+
+    return pending.done(err, { result: err, isError: true });
+  }, this), delay + WATCHDOG_GRACE);
+};
+
+/**
+ * Watch the worker for the cell timeout.
+ *
+ * @param {Number} id
+ * @param {Number} timeout
+ */
+WorkerSandbox.prototype._timeout = function (id, timeout) {
+  return this._watch(
+    id, timeout, new Error('Timeout of ' + timeout + 'ms exceeded')
+  );
+};
+
+/**
+ * Cancel an execution. The worker is asked to clear the cell timers and is
+ * terminated when it doesn't respond.
+ *
+ * @param {Number} id
+ */
+WorkerSandbox.prototype._cancel = function (id) {
+  var pending = this._pending[id];
+  var err     = Sandbox.cancelError();
+
+  if (!pending) {
+    return;
+  }
+
+  if (!pending.sent) {
+    return this._complete(id, null, { result: err, isError: true });
+  }
+
+  this.worker.postMessage({ type: 'cancel', id: id });
+
+  return this._watch(id, 0, err);
+};
+
+/**
+ * Complete a pending execution.
+ *
+ * @param {Number} id
+ * @param {Error}  err
+ * @param {Object} data
+ */
+WorkerSandbox.prototype._complete = function (id, err, data) {
+  var pending = this._pending[id];
+
+  if (!pending) {
+    return;
+  }
+
+  window.clearTimeout(pending.watchdog);
+  delete this._pending[id];
+
+  return pending.done(err, data);
+};
+
+/**
+ * Execute code in the worker, after it's transformed by `sandbox:transform`.
+ * Context variables from `sandbox:context` are copied into the worker when
+ * they can be serialized. Returns an execution object with the execution
+ * `count` and a `cancel` method.
+ *
+ * @param  {String}   code
+ * @param  {Function} done
+ * @return {Object}
+ */
+WorkerSandbox.prototype.execute = function (code, done) {
+  var id    = ++this._id;
+  var count = ++this.executionCount;
+
+  // Results include the execution count, like the frame sandbox.
+  this._pending[id] = {
+    done: function (err, data) {
+      return done(err, data && _.extend(data, { count: count }));
+    }
+  };
+
+  middleware.trigger('sandbox:transform', {
+    code: code
+  }, _.bind(function (err, transform) {
+    if (err) {
+      return this._complete(id, null, { result: err, isError: true });
+    }
+
+    middleware.trigger('sandbox:context', {}, _.bind(function (err, context) {
+      var values   = {};
+      var remotes  = [];
+      var pending  = this._pending[id];
+      var notebook = persistence.get('notebook');
+
+      // The execution was cancelled or terminated before it started.
+      if (!pending) {
+        return;
+      }
+
+      this._context = context;
+
+      // Include non-enumerable context values, such as `API`.
+      _.each(Object.getOwnPropertyNames(context), function (key) {
+        var value = context[key];
+
+        if (isRemote(value)) {
+          return remotes.push(key);
+        }
+
+        try {
+          values[key] = JSON.parse(JSON.stringify(value));
+        } catch (e) {}
+      });
+
+      pending.sent = true;
+      this._timeout(id, ASYNC_TIMEOUT);
+
+      this.worker.postMessage({
+        type:        'execute',
+        id:          id,
+        code:        transform.code,
+        context:     values,
+        remotes:     remotes,
+        attachments: notebook ? notebook.get('attachments') : [],
+
+        packageMirror: config.get('packageMirror')
+      });
+    }, this));
+  }, this));
+
+  return {
+    count:  count,
+    cancel: _.bind(this._cancel, this, id)
+  };
+};
+
+/**
+ * Stop the worker and discard its state.
+ *
+ * @return {Object} Executions that were pending.
+ */
+WorkerSandbox.prototype._stop = function () {
+  var pending = this._pending;
+
+  this.worker.terminate();
+  URL.revokeObjectURL(this._url);
+
+  if (App._executeWindow === this._globals) {
+    delete App._executeWindow;
+  }
+
+  delete this.worker;
+  delete this._url;
+  delete this._pending;
+  delete this._context;
+  delete this._refs;
+  delete this._globals;
+
+  _.each(_.keys(this.window), function (key) {
+    delete this.window[key];
+  }, this);
+
+  return pending;
+};
+
+/**
+ * Terminate any running cells by replacing the worker with a fresh one. All
+ * globals defined by previous cells are lost.
+ *
+ * @return {WorkerSandbox}
+ */
+WorkerSandbox.prototype.terminate = function () {
+  var pending = this._stop();
+
+  this.start();
+
+  _.each(pending, function (execution) {
+    var err = new Error('Execution terminated');
+
+    window.clearTimeout(execution.watchdog);
+
+    return execution.done(err, { result: err, isError: true });
+  });
+
+  return this;
+};
+
+/**
+ * Stop the worker.
+ *
+ * @return {WorkerSandbox}
+ */
+WorkerSandbox.prototype.remove = function () {
+  _.each(this._stop(), function (execution) {
+    window.clearTimeout(execution.watchdog);
+  });
+
+  delete this.window;
+
+  return this;
+};
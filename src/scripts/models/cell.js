@@ -1,3 +1,4 @@
+var _        = require('underscore');
 var Backbone = require('backbone');
 
 /**
@@ -5,9 +6,40 @@ var Backbone = require('backbone');
  *
  * @type {Function}
  */
-module.exports = Backbone.Model.extend({
+var Cell = module.exports = Backbone.Model.extend({
   defaults: {
     type: 'text',
     value: ''
   }
 });
+
+/**
+ * Get a cell meta data value. Meta data is persisted with the notebook and can
+ * be used by plugins to store extra cell attributes (E.g. tags or an id).
+ *
+ * @param  {String} key
+ * @return {*}
+ */
+Cell.prototype.getMeta = function (key) {
+  return (this.get('meta') || {})[key];
+};
+
+/**
+ * Set a cell meta data value. Setting an `undefined` value removes the key.
+ *
+ * @param  {String} key
+ * @param  {*}      value
+ * @return {Cell}
+ */
+Cell.prototype.setMeta = function (key, value) {
+  // Copy the meta data object to trigger change events.
+  var meta = _.extend({}, this.get('meta'));
+
+  if (value === undefined) {
+    delete meta[key];
+  } else {
+    meta[key] = value;
+  }
+
+  return this.set('meta', _.isEmpty(meta) ? undefined : meta);
+};
@@ -8,6 +8,38 @@ var Backbone = require('backbone');
  */
 var Meta = module.exports = Backbone.Model.extend();
 
+/**
+ * Deep clone meta data values, since meta data can hold nested objects and
+ * arrays that shouldn't be shared between notebooks.
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+var deepClone = function (value) {
+  if (_.isDate(value)) {
+    return new Date(value.getTime());
+  }
+
+  if (_.isArray(value)) {
+    return _.map(value, deepClone);
+  }
+
+  if (_.isObject(value) && !_.isFunction(value)) {
+    return _.object(_.keys(value), _.map(value, deepClone));
+  }
+
+  return value;
+};
+
+/**
+ * Clone the meta data model along with any nested values.
+ *
+ * @return {Meta}
+ */
+Meta.prototype.clone = function () {
+  return new this.constructor(deepClone(this.attributes));
+};
+
 /**
  * Reset a model by removing any unused attributes and updating everything else.
  *
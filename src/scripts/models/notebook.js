@@ -1,3 +1,4 @@
+var _        = require('underscore');
 var Backbone = require('backbone');
 var Meta     = require('./meta');
 
@@ -8,11 +9,12 @@ var Meta     = require('./meta');
  */
 var Notebook = module.exports = Backbone.Model.extend({
   defaults: {
-    id:      null,
-    meta:    null,
-    cells:   [],
-    ownerId: null,
-    content: ''
+    id:          null,
+    meta:        null,
+    cells:       [],
+    ownerId:     null,
+    content:     '',
+    attachments: []
   }
 });
 
@@ -31,6 +33,47 @@ Notebook.prototype.isNew = function () {
 Notebook.prototype.initialize = function (attrs) {
   attrs = attrs || {};
 
-  this.set('meta',  attrs.meta  || new Meta());
-  this.set('cells', attrs.cells || []);
+  this.set('meta',        attrs.meta        || new Meta());
+  this.set('cells',       attrs.cells       || []);
+  this.set('attachments', attrs.attachments || []);
+};
+
+/**
+ * Get a notebook attachment by file name.
+ *
+ * @param  {String} name
+ * @return {Object}
+ */
+Notebook.prototype.getAttachment = function (name) {
+  return _.findWhere(this.get('attachments'), { name: name });
+};
+
+/**
+ * Add an attachment to the notebook, replacing any attachment with the same
+ * name. Attachments have a `name`, a mime `type` and the text `content`.
+ *
+ * @param {Object} attachment
+ */
+Notebook.prototype.setAttachment = function (attachment) {
+  var attachments = _.reject(this.get('attachments'), function (existing) {
+    return existing.name === attachment.name;
+  });
+
+  // Replace the array so the change can be compared with the saved version.
+  return this.set('attachments', _.sortBy(
+    attachments.concat(attachment), 'name'
+  ));
+};
+
+/**
+ * Remove an attachment from the notebook.
+ *
+ * @param {String} name
+ */
+Notebook.prototype.removeAttachment = function (name) {
+  return this.set('attachments', _.reject(
+    this.get('attachments'), function (attachment) {
+      return attachment.name === name;
+    }
+  ));
 };
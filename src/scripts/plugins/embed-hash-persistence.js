@@ -1,3 +1,4 @@
+var qs           = require('querystring');
 var NOTEBOOK_URL = process.env.application.url;
 
 /**
@@ -36,6 +37,14 @@ module.exports = function (Notebook) {
     updateId();
     window.addEventListener('hashchange', updateId);
 
+    // Open notebooks from a Markdown url using `?url=`. Notebook ids in the
+    // hash take precedence, so saved copies load from persistence instead.
+    var sourceUrl = qs.parse(window.location.search.substr(1)).url;
+
+    if (sourceUrl) {
+      notebook.config('sourceUrl', sourceUrl);
+    }
+
     // Update the window hash when the id changes.
     notebook.on('config', function (name) {
       if (name !== 'id') { return; }
@@ -12,6 +12,8 @@ if (!CLIENT_ID || !CLIENT_SECRET) {
     '`clientId` and `clientSecret` in your config to use it.');
 }
 
+var parseLinkHeader = require('../lib/parse-link-header');
+
 /**
  * OAuth2 authentication options object.
  *
@@ -39,30 +41,29 @@ var AUTH_OPTIONS = {
 };
 
 /**
- * Check whether a gist contents are a valid notebook.
+ * The gist file holding the notebook content. Every other file in the gist is
+ * a notebook attachment.
  *
- * @param  {Object}  content
- * @return {Boolean}
+ * @type {String}
  */
-var isNotebookContent = function (content) {
-  return content && content.files && content.files['notebook.md'];
-};
+var NOTEBOOK_FILE = 'notebook.md';
 
 /**
- * Parse the link header for the specific links.
+ * The maximum number of gist pages to load for a single search. Any remaining
+ * pages are searched when loading more notebooks.
  *
- * @param  {String} header
- * @return {Object}
+ * @type {Number}
  */
-var parseLinkHeader = function (header) {
-  var obj = {};
+var MAX_SEARCH_PAGES = 10;
 
-  _.each(header.split(', '), function (part) {
-    var matches = /^<([^>]+)>; *rel="([^"]+)"$/.exec(part);
-    return matches && (obj[matches[2]] = matches[1]);
-  });
-
-  return obj;
+/**
+ * Check whether a gist contents are a valid notebook.
+ *
+ * @param  {Object}  content
+ * @return {Boolean}
+ */
+var isNotebookContent = function (content) {
+  return content && content.files && content.files[NOTEBOOK_FILE];
 };
 
 /**
@@ -196,75 +197,199 @@ var authenticatedPlugin = function (data, next, done) {
 };
 
 /**
- * Loads a single gist id from Github and checks whether it holds our notebook.
+ * Return the most recent revision of a gist response.
  *
- * @param {Object}   data
- * @param {Function} next
- * @param {Function} done
+ * @param  {Object} content
+ * @return {String}
  */
-var loadPlugin = function (data, next, done) {
-  if (!data.id) {
-    return next();
+var getLatestRevision = function (content) {
+  return content.history && content.history.length ?
+    content.history[0].version : null;
+};
+
+/**
+ * Create an error for when the gist has changed since it was loaded.
+ *
+ * @return {Error}
+ */
+var conflictError = function () {
+  var err = new Error('The notebook has been changed since it was loaded');
+
+  err.conflict = true;
+
+  return err;
+};
+
+/**
+ * The most recent response of every gist we've seen, keyed by gist id. Github
+ * doesn't count conditional requests answered with `304` against the rate
+ * limit, so checking an unchanged gist before saving is free.
+ *
+ * @type {Object}
+ */
+var gistCache = {};
+
+/**
+ * Remember a gist response and its etag for later conditional requests.
+ *
+ * @param {Object}         content
+ * @param {XMLHttpRequest} xhr
+ */
+var cacheGist = function (content, xhr) {
+  var etag = xhr.getResponseHeader('ETag');
+
+  if (etag) {
+    gistCache[content.id] = { etag: etag, content: content };
+  } else {
+    delete gistCache[content.id];
   }
+};
+
+/**
+ * Request a single gist from Github and check whether it holds our notebook.
+ *
+ * @param {String}   id
+ * @param {Function} done
+ */
+var getGist = function (id, done) {
+  var cached = gistCache[id];
 
   App.middleware.trigger('ajax:oauth2', {
     // Add the application client id and secret to load requests to avoid rate
     // limiting in the case that the user is unauthenticated.
-    url:    'https://api.github.com/gists/' + data.id + '?_=' + Date.now(),
-    proxy:  false,
-    method: 'GET',
-    oauth2: oauth2Store.toJSON()
+    url:     'https://api.github.com/gists/' + id + '?_=' + Date.now(),
+    proxy:   false,
+    method:  'GET',
+    headers: cached ? { 'If-None-Match': cached.etag } : {},
+    oauth2:  oauth2Store.toJSON()
   }, function (err, xhr) {
     var content;
 
+    if (err) { return done(err); }
+
+    // The gist has not changed since we last saw it.
+    if (cached && xhr.status === 304) {
+      return done(null, cached.content);
+    }
+
     try {
       content = JSON.parse(xhr.responseText);
     } catch (e) {
-      return next(e);
+      return done(e);
     }
 
     if (!isNotebookContent(content)) {
-      return next(new Error('Unexpected notebook response'));
+      return done(new Error('Unexpected notebook response'));
     }
 
-    data.id         = content.id;
-    data.ownerId    = content.owner.id;
-    data.ownerTitle = content.owner.login;
-    data.content    = content.files['notebook.md'].content;
-    data.updatedAt  = new Date(content.updated_at);
-    return done();
+    cacheGist(content, xhr);
+
+    return done(null, content);
   });
 };
 
 /**
- * Save the notebook into a single Github gist for persistence. If the user is
- * not yet authenticated, we'll attempt to do a smoother on boarding by showing
- * a help dialog.
+ * Read the notebook attachments from the gist files. Github truncates the
+ * content of large files, which are requested separately.
+ *
+ * @param {Object}   content
+ * @param {Function} done
+ */
+var getAttachments = function (content, done) {
+  var files = _.filter(content.files, function (file) {
+    return file.filename !== NOTEBOOK_FILE;
+  });
+
+  return App.Library.async.map(files, function (file, cb) {
+    var attachment = {
+      name:    file.filename,
+      type:    file.type,
+      content: file.content
+    };
+
+    if (!file.truncated) {
+      return cb(null, attachment);
+    }
+
+    return App.middleware.trigger('ajax', {
+      url:    file.raw_url,
+      proxy:  false,
+      method: 'GET'
+    }, function (err, xhr) {
+      if (err) { return cb(err); }
+
+      attachment.content = xhr.responseText;
+      return cb(null, attachment);
+    });
+  }, function (err, attachments) {
+    return done(err, _.sortBy(attachments, 'name'));
+  });
+};
+
+/**
+ * Loads a single gist id from Github and checks whether it holds our notebook.
  *
  * @param {Object}   data
  * @param {Function} next
  * @param {Function} done
  */
-var savePlugin = function (data, next, done) {
-  if (!data.isAuthenticated()) {
-    return data.authenticate(function (err) {
+var loadPlugin = function (data, next, done) {
+  if (!data.id) {
+    return next();
+  }
+
+  return getGist(data.id, function (err, content) {
+    if (err) { return next(err); }
+
+    return getAttachments(content, function (err, attachments) {
       if (err) { return next(err); }
 
-      return done(), data.save();
+      data.id          = content.id;
+      data.ownerId     = content.owner.id;
+      data.ownerTitle  = content.owner.login;
+      data.content     = content.files[NOTEBOOK_FILE].content;
+      data.revision    = getLatestRevision(content);
+      data.updatedAt   = new Date(content.updated_at);
+      data.attachments = attachments;
+      return done();
     });
+  });
+};
+
+/**
+ * Create or update the notebook gist. Attachments are saved as the other gist
+ * files, and files of the existing gist that are no longer attached are
+ * removed.
+ *
+ * @param {Object}   data
+ * @param {Object}   existing
+ * @param {Function} next
+ * @param {Function} done
+ */
+var saveGist = function (data, existing, next, done) {
+  var files = {};
+
+  if (_.findWhere(data.attachments, { name: NOTEBOOK_FILE })) {
+    return next(new Error('Attachments can not be named ' + NOTEBOOK_FILE));
   }
 
+  _.each(existing && existing.files, function (file, name) {
+    files[name] = null;
+  });
+
+  _.each(data.attachments, function (attachment) {
+    files[attachment.name] = { content: attachment.content };
+  });
+
+  files[NOTEBOOK_FILE] = { content: data.content };
+
   App.middleware.trigger('ajax:oauth2', {
     url:    'https://api.github.com/gists' + (data.id ? '/' + data.id : ''),
     proxy:  false,
     method: data.id ? 'PATCH' : 'POST',
     data: JSON.stringify({
       description: data.meta.title,
-      files: {
-        'notebook.md': {
-          content: data.content
-        }
-      }
+      files:       files
     }),
     oauth2: oauth2Store.toJSON()
   }, function (err, xhr) {
@@ -277,9 +402,12 @@ var savePlugin = function (data, next, done) {
 
     try {
       var content = JSON.parse(xhr.responseText);
+      cacheGist(content, xhr);
       data.id         = content.id;
       data.ownerId    = content.owner.id;
       data.ownerTitle = content.owner.login;
+      data.revision   = getLatestRevision(content);
+      data.updatedAt  = new Date(content.updated_at);
     } catch (e) {
       return next(e);
     }
@@ -289,18 +417,61 @@ var savePlugin = function (data, next, done) {
 };
 
 /**
- * Push all suitable gists into the list of notebooks.
+ * Save the notebook into a single Github gist for persistence. If the user is
+ * not yet authenticated, we'll attempt to do a smoother on boarding by showing
+ * a help dialog.
  *
- * @param {Array}    list
+ * @param {Object}   data
  * @param {Function} next
  * @param {Function} done
  */
-var listPlugin = function (list, next, done) {
+var savePlugin = function (data, next, done) {
+  if (!data.isAuthenticated()) {
+    return data.authenticate(function (err) {
+      if (err) { return next(err); }
+
+      return done(), data.save();
+    });
+  }
+
+  if (!data.id) {
+    return saveGist(data, null, next, done);
+  }
+
+  // Load the existing gist to remove detached files and avoid overwriting
+  // revisions saved elsewhere since the notebook was loaded. The request is
+  // conditional, so it only counts against the rate limit when the gist has
+  // actually changed.
+  return getGist(data.id, function (err, content) {
+    if (err) { return next(err); }
+
+    if (data.revision && !data.force &&
+      getLatestRevision(content) !== data.revision) {
+      return next(conflictError());
+    }
+
+    return saveGist(data, content, next, done);
+  });
+};
+
+/**
+ * Push a page of suitable gists into the list of notebooks. Gists can't be
+ * searched and only the description is listed, so the persistence layer only
+ * matches the title. Several pages are loaded while searching, so a page
+ * without matches doesn't hide matches on the following pages.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var listPlugin = function (data, next, done) {
   if (!oauth2Store.has('accessToken')) {
     return done(new Error('Listing notebooks requires authentication'));
   }
 
-  (function recurse (link) {
+  var isSearch = !!(data.query || data.tags.length);
+
+  (function recurse (link, pages) {
     App.middleware.trigger('ajax:oauth2', {
       url:    link + (link.indexOf('?') > -1 ? '&' : '?') + '_=' + Date.now(),
       proxy:  false,
@@ -325,7 +496,7 @@ var listPlugin = function (list, next, done) {
       _.each(response, function (content) {
         if (!isNotebookContent(content)) { return; }
 
-        list.push({
+        data.items.push({
           id: content.id,
           updatedAt: new Date(content.updated_at),
           meta: {
@@ -334,10 +505,16 @@ var listPlugin = function (list, next, done) {
         });
       });
 
-      // Proceed to the next link or return done.
-      return nextLink ? recurse(nextLink) : done();
+      if (isSearch && nextLink && pages < MAX_SEARCH_PAGES) {
+        return recurse(nextLink, pages + 1);
+      }
+
+      // Pass the next page back to load more notebooks.
+      data.next = nextLink || null;
+
+      return done();
     });
-  })('https://api.github.com/gists');
+  })(data.page || 'https://api.github.com/gists', 1);
 };
 
 /**
@@ -356,6 +533,71 @@ var removePlugin = function (data, next, done) {
   }, done);
 };
 
+/**
+ * List the revisions of a gist. Github already returns the history ordered by
+ * the most recent revision.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var historyPlugin = function (data, next, done) {
+  if (!data.id) {
+    return next();
+  }
+
+  return getGist(data.id, function (err, content) {
+    if (err) { return next(err); }
+
+    _.each(content.history, function (revision) {
+      data.revisions.push({
+        id:        revision.version,
+        userTitle: revision.user && revision.user.login,
+        updatedAt: new Date(revision.committed_at)
+      });
+    });
+
+    return done();
+  });
+};
+
+/**
+ * Load the notebook content of a single gist revision.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var revisionPlugin = function (data, next, done) {
+  if (!data.id || !data.revision) {
+    return next();
+  }
+
+  App.middleware.trigger('ajax:oauth2', {
+    url:    'https://api.github.com/gists/' + data.id + '/' + data.revision,
+    proxy:  false,
+    method: 'GET',
+    oauth2: oauth2Store.toJSON()
+  }, function (err, xhr) {
+    var content;
+
+    if (err) { return next(err); }
+
+    try {
+      content = JSON.parse(xhr.responseText);
+    } catch (e) {
+      return next(e);
+    }
+
+    if (!isNotebookContent(content)) {
+      return next(new Error('Unexpected notebook response'));
+    }
+
+    data.content = content.files[NOTEBOOK_FILE].content;
+    return done();
+  });
+};
+
 /**
  * Set the config option for the authentication text.
  */
@@ -374,5 +616,7 @@ module.exports = {
   'persistence:load':           loadPlugin,
   'persistence:save':           savePlugin,
   'persistence:list':           listPlugin,
-  'persistence:remove':         removePlugin
+  'persistence:remove':         removePlugin,
+  'persistence:history':        historyPlugin,
+  'persistence:revision':       revisionPlugin
 };
@@ -12,6 +12,13 @@ var configurePlugin = function (config, next) {
     config.id = window.location.hash.substr(1);
   }
 
+  // Open notebooks from a Markdown url using `?url=`.
+  if (!config.sourceUrl) {
+    config.sourceUrl = App.Library.qs.parse(
+      window.location.search.substr(1)
+    ).url;
+  }
+
   return next();
 };
 
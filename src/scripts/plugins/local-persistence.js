@@ -0,0 +1,415 @@
+/* global App */
+var _          = App._;
+var DB_NAME    = 'api-notebook';
+var DB_VERSION = 1;
+var STORE_NAME = 'notebooks';
+var USER_ID    = 'local';
+var USER_TITLE = 'This Browser';
+
+var notebookList = require('../lib/notebook-list');
+
+/**
+ * Alias the available IndexedDB implementation, if any.
+ *
+ * @type {Object}
+ */
+var indexedDB = window.indexedDB || window.webkitIndexedDB ||
+  window.mozIndexedDB || window.msIndexedDB;
+
+/**
+ * Generate a reasonably unique notebook id.
+ *
+ * @return {String}
+ */
+var generateId = function () {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+};
+
+/**
+ * Fallback storage engine using the local storage backed application store.
+ *
+ * @type {Object}
+ */
+var localStore = (function (store) {
+  return {
+    get: function (id, done) {
+      return done(null, store.get(id));
+    },
+    put: function (record, done) {
+      store.set(record.id, record);
+
+      return done(null, record);
+    },
+    all: function (done) {
+      return done(null, _.values(store.toJSON()));
+    },
+    remove: function (id, done) {
+      store.unset(id);
+
+      return done();
+    }
+  };
+})(App.store.customStore('notebooks'));
+
+/**
+ * Storage engine backed by IndexedDB.
+ *
+ * @type {Object}
+ */
+var idbStore = (function () {
+  var db;
+
+  /**
+   * Open the notebooks database, creating the object store when required.
+   *
+   * @param {Function} done
+   */
+  var open = function (done) {
+    if (db) {
+      return done(null, db);
+    }
+
+    var request;
+
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (e) {
+      return done(e);
+    }
+
+    request.onupgradeneeded = function () {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+
+    request.onsuccess = function () {
+      db = request.result;
+
+      return done(null, db);
+    };
+
+    request.onerror = function () {
+      return done(request.error || new Error('Unable to open database'));
+    };
+  };
+
+  /**
+   * Run a single request against the object store.
+   *
+   * @param {String}   mode
+   * @param {Function} fn
+   * @param {Function} done
+   */
+  var execute = function (mode, fn, done) {
+    return open(function (err, db) {
+      if (err) { return done(err); }
+
+      var request;
+
+      try {
+        request = fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      } catch (e) {
+        return done(e);
+      }
+
+      request.onsuccess = function () {
+        return done(null, request.result);
+      };
+
+      request.onerror = function () {
+        return done(request.error);
+      };
+    });
+  };
+
+  return {
+    open: open,
+    get: function (id, done) {
+      return execute('readonly', function (store) {
+        return store.get(id);
+      }, done);
+    },
+    put: function (record, done) {
+      return execute('readwrite', function (store) {
+        return store.put(record);
+      }, function (err) {
+        return done(err, record);
+      });
+    },
+    all: function (done) {
+      var records = [];
+
+      return open(function (err, db) {
+        if (err) { return done(err); }
+
+        var request = db.transaction(STORE_NAME, 'readonly')
+          .objectStore(STORE_NAME)
+          .openCursor();
+
+        request.onsuccess = function () {
+          var cursor = request.result;
+
+          if (!cursor) {
+            return done(null, records);
+          }
+
+          records.push(cursor.value);
+          cursor.continue();
+        };
+
+        request.onerror = function () {
+          return done(request.error);
+        };
+      });
+    },
+    remove: function (id, done) {
+      return execute('readwrite', function (store) {
+        return store.delete(id);
+      }, function (err) {
+        return done(err);
+      });
+    }
+  };
+})();
+
+/**
+ * Resolve the storage engine to use. Prefers IndexedDB, but falls back to
+ * local storage when the database is unsupported or can't be opened (E.g.
+ * private browsing modes).
+ *
+ * @param {Function} done
+ */
+var getStorage = function (done) {
+  if (!indexedDB) {
+    return done(null, localStore);
+  }
+
+  return idbStore.open(function (err) {
+    return done(null, err ? localStore : idbStore);
+  });
+};
+
+/**
+ * Create an error for when the stored notebook has changed since it was loaded.
+ *
+ * @return {Error}
+ */
+var conflictError = function () {
+  var err = new Error('The notebook has been changed since it was loaded');
+
+  err.conflict = true;
+
+  return err;
+};
+
+/**
+ * Check whether a stored notebook was saved again after the current version was
+ * loaded, for example from another browser tab.
+ *
+ * @param  {Object}  data
+ * @param  {Object}  record
+ * @return {Boolean}
+ */
+var isConflict = function (data, record) {
+  return !data.force && !!record && !!data.updatedAt &&
+    +new Date(record.updatedAt) !== +new Date(data.updatedAt);
+};
+
+/**
+ * Make saves to storage less frequently. Handles multiple notebooks saving
+ * concurrently.
+ *
+ * @type {Function}
+ */
+var debounceSave = (function (hash) {
+  return function (data) {
+    // Remove any previously queued save request for the same resource.
+    if (hash[data.id]) {
+      clearTimeout(hash[data.id]);
+      delete hash[data.id];
+    }
+
+    hash[data.id] = setTimeout(function () {
+      return data.shouldSave() && data.save();
+    }, 600);
+  };
+})({});
+
+/**
+ * Automatically save changes to notebooks that already exist in storage.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var changePlugin = function (data, next, done) {
+  debounceSave(data);
+
+  return done();
+};
+
+/**
+ * Browser storage is always available to the current user, so both checking
+ * and triggering authentication resolve with the same local user.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var authenticatedPlugin = function (data, next, done) {
+  return done(null, {
+    userId:    USER_ID,
+    userTitle: USER_TITLE
+  });
+};
+
+/**
+ * Nothing needs to be cleared when "logging out" of browser storage.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var unauthenticatePlugin = function (data, next, done) {
+  return done();
+};
+
+/**
+ * Load a single notebook from browser storage.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var loadPlugin = function (data, next, done) {
+  if (!data.id) {
+    return next();
+  }
+
+  return getStorage(function (err, storage) {
+    storage.get(data.id, function (err, record) {
+      if (err) { return next(err); }
+
+      if (!record) {
+        return next(new Error('Notebook not found'));
+      }
+
+      data.id          = record.id;
+      data.ownerId     = USER_ID;
+      data.ownerTitle  = USER_TITLE;
+      data.content     = record.content;
+      data.updatedAt   = new Date(record.updatedAt);
+      data.attachments = record.attachments || [];
+      return done();
+    });
+  });
+};
+
+/**
+ * Save the notebook into browser storage, generating a new id for notebooks
+ * that have never been saved.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var savePlugin = function (data, next, done) {
+  if (!data.isAuthenticated()) {
+    return data.authenticate(function (err) {
+      if (err) { return next(err); }
+
+      return done(), data.save();
+    });
+  }
+
+  var record = {
+    id:          data.id || generateId(),
+    meta:        data.meta,
+    content:     data.content,
+    attachments: data.attachments,
+    updatedAt:   Date.now()
+  };
+
+  return getStorage(function (err, storage) {
+    storage.get(record.id, function (err, existing) {
+      if (err) { return next(err); }
+
+      if (isConflict(data, existing)) {
+        return next(conflictError());
+      }
+
+      storage.put(record, function (err) {
+        if (err) { return next(err); }
+
+        data.id         = record.id;
+        data.ownerId    = USER_ID;
+        data.ownerTitle = USER_TITLE;
+        data.updatedAt  = new Date(record.updatedAt);
+        return done();
+      });
+    });
+  });
+};
+
+/**
+ * Push every stored notebook matching the search into the list of notebooks.
+ * Every notebook is available locally, so the content is searched as well.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var listPlugin = function (data, next, done) {
+  return getStorage(function (err, storage) {
+    storage.all(function (err, records) {
+      if (err) { return next(err); }
+
+      _.each(notebookList.filter(records, data), function (record) {
+        data.items.push({
+          id:        record.id,
+          updatedAt: new Date(record.updatedAt),
+          meta:      _.extend({}, record.meta)
+        });
+      });
+
+      data.filtered = true;
+
+      return done();
+    });
+  });
+};
+
+/**
+ * Delete a single notebook from browser storage.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var removePlugin = function (data, next, done) {
+  return getStorage(function (err, storage) {
+    storage.remove(data.id, function (err) {
+      return err ? next(err) : done();
+    });
+  });
+};
+
+/**
+ * Set the config option for the authentication text.
+ */
+App.config.set('authenticateText', 'Use browser storage');
+
+/**
+ * A { key: function } map of all middleware used in the plugin.
+ *
+ * @type {Object}
+ */
+module.exports = {
+  'persistence:change':         changePlugin,
+  'persistence:authenticate':   authenticatedPlugin,
+  'persistence:unauthenticate': unauthenticatePlugin,
+  'persistence:authenticated':  authenticatedPlugin,
+  'persistence:load':           loadPlugin,
+  'persistence:save':           savePlugin,
+  'persistence:list':           listPlugin,
+  'persistence:remove':         removePlugin
+};
@@ -614,6 +614,7 @@ var httpRequest = function (nodes, method) {
       proxy:      config.proxy,
       method:     method.method,
       headers:    config.headers,
+      context:    App._executeContext,
       beforeSend: config.beforeSend
     };
 
@@ -100,8 +100,9 @@ API.createClient = function (name, uri, config, done) {
    * Manually initialize the first ajax request to support JSON responses.
    */
   return App.middleware.trigger('ajax', {
-    url:   uri,
-    proxy: config.proxy,
+    url:     uri,
+    proxy:   config.proxy,
+    context: App._executeContext,
     headers: {
       'Accept': 'application/raml+yaml, application/json, */*'
     }
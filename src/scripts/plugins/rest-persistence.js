@@ -0,0 +1,328 @@
+/* global App */
+var _      = App._;
+var plugin = (process.env.plugins || {}).rest || {};
+
+// Detect if the plugin is not enabled.
+if (!plugin.url) {
+  console.warn('REST persistence plugin has not been configured. Please set ' +
+    'the `url` in your config or the `restPersistence` config option to use ' +
+    'it.');
+}
+
+var parseLinkHeader = require('../lib/parse-link-header');
+
+/**
+ * Resolve the current endpoint options. Options set on the application config
+ * at runtime (E.g. from an embedding page) override the build configuration.
+ *
+ * @return {Object}
+ */
+var getOptions = function () {
+  var options = _.extend({}, plugin, App.config.get('restPersistence'));
+
+  return {
+    url:     String(options.url || '').replace(/\/+$/, ''),
+    headers: _.extend({}, options.headers)
+  };
+};
+
+/**
+ * Create an error for when the notebook has changed since it was loaded.
+ *
+ * @return {Error}
+ */
+var conflictError = function () {
+  var err = new Error('The notebook has been changed since it was loaded');
+
+  err.conflict = true;
+
+  return err;
+};
+
+/**
+ * Make a JSON request to the configured endpoint. Responds with the parsed
+ * response body and the xhr object. Absolute urls (E.g. from `Link` headers)
+ * are requested as they are.
+ *
+ * @param {String}   method
+ * @param {String}   path
+ * @param {Object}   body
+ * @param {Function} done
+ */
+var request = function (method, path, body, done) {
+  var options = getOptions();
+  var headers = _.extend({ 'Accept': 'application/json' }, options.headers);
+
+  if (!options.url) {
+    return done(new Error('No REST persistence url configured'));
+  }
+
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  App.middleware.trigger('ajax', {
+    url:     /^\w+:\/\//.test(path) ? path : options.url + path,
+    proxy:   false,
+    method:  method,
+    headers: headers,
+    data:    body ? JSON.stringify(body) : null
+  }, function (err, xhr) {
+    var content;
+
+    if (err) { return done(err, null, xhr); }
+
+    if (xhr.status === 401 || xhr.status === 403) {
+      return done(new Error('Not authorized'), null, xhr);
+    }
+
+    if (xhr.status === 404) {
+      return done(new Error('Notebook not found'), null, xhr);
+    }
+
+    if (xhr.status === 409) {
+      return done(conflictError(), null, xhr);
+    }
+
+    if (Math.floor(xhr.status / 100) !== 2) {
+      return done(new Error('Request failed'), null, xhr);
+    }
+
+    if (!xhr.responseText) {
+      return done(null, null, xhr);
+    }
+
+    try {
+      content = JSON.parse(xhr.responseText);
+    } catch (e) {
+      return done(e, null, xhr);
+    }
+
+    return done(null, content, xhr);
+  });
+};
+
+/**
+ * Copy a notebook response onto the middleware data.
+ *
+ * @param {Object} data
+ * @param {Object} content
+ */
+var setNotebookData = function (data, content) {
+  data.id         = content.id;
+  data.ownerId    = content.ownerId;
+  data.ownerTitle = content.ownerTitle;
+  data.updatedAt  = new Date(content.updatedAt);
+};
+
+/**
+ * Make saves to the server less frequently. Handles multiple notebooks saving
+ * concurrently.
+ *
+ * @type {Function}
+ */
+var debounceSave = (function (hash) {
+  return function (data) {
+    // Remove any previously queued save request for the same resource.
+    if (hash[data.id]) {
+      clearTimeout(hash[data.id]);
+      delete hash[data.id];
+    }
+
+    hash[data.id] = setTimeout(function () {
+      return data.shouldSave() && data.save();
+    }, 600);
+  };
+})({});
+
+/**
+ * When a change occurs *and* we are already authenticated, we can automatically
+ * save the update to the server.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var changePlugin = function (data, next, done) {
+  debounceSave(data);
+
+  return done();
+};
+
+/**
+ * Check which user the configured headers authenticate as.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var authenticatedPlugin = function (data, next, done) {
+  return request('GET', '/user', null, function (err, content) {
+    if (err) { return done(err); }
+
+    if (!content || content.id == null) {
+      return done(new Error('Unexpected user response'));
+    }
+
+    return done(null, {
+      userId:    content.id,
+      userTitle: content.title
+    });
+  });
+};
+
+/**
+ * Credentials are provided by the configured headers, so there's nothing to
+ * clear when logging out.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var unauthenticatePlugin = function (data, next, done) {
+  return done();
+};
+
+/**
+ * Load a single notebook from the server.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var loadPlugin = function (data, next, done) {
+  if (!data.id) {
+    return next();
+  }
+
+  var path = '/notebooks/' + encodeURIComponent(data.id);
+
+  return request('GET', path, null, function (err, content) {
+    if (err) { return next(err); }
+
+    setNotebookData(data, content);
+    data.content     = content.content;
+    data.attachments = content.attachments || [];
+    return done();
+  });
+};
+
+/**
+ * Create or update the notebook on the server. The `updatedAt` date of the
+ * loaded notebook is sent along with updates so the server can reject saves
+ * over changes made elsewhere.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var savePlugin = function (data, next, done) {
+  if (!data.isAuthenticated()) {
+    return data.authenticate(function (err) {
+      if (err) { return next(err); }
+
+      return done(), data.save();
+    });
+  }
+
+  var body = {
+    meta:        data.meta,
+    content:     data.content,
+    attachments: data.attachments
+  };
+
+  if (data.id && data.updatedAt && !data.force) {
+    body.updatedAt = +new Date(data.updatedAt);
+  }
+
+  return request(
+    data.id ? 'PUT' : 'POST',
+    '/notebooks' + (data.id ? '/' + encodeURIComponent(data.id) : ''),
+    body,
+    function (err, content) {
+      if (err) { return next(err); }
+
+      setNotebookData(data, content);
+      return done();
+    }
+  );
+};
+
+/**
+ * Push a page of the authenticated user's notebooks matching the search into
+ * the list of notebooks. The next page is read from the `Link` header.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var listPlugin = function (data, next, done) {
+  var query = { sort: data.sort };
+
+  if (data.query) {
+    query.q = data.query;
+  }
+
+  if (data.tags.length) {
+    query.tags = data.tags.join(',');
+  }
+
+  var path = data.page || '/notebooks?' + App.Library.qs.stringify(query);
+
+  return request('GET', path, null, function (err, content, xhr) {
+    if (err) { return next(err); }
+
+    if (!_.isArray(content)) {
+      return next(new Error('Unexpected response'));
+    }
+
+    _.each(content, function (notebook) {
+      data.items.push({
+        id:        notebook.id,
+        updatedAt: new Date(notebook.updatedAt),
+        meta:      _.extend({}, notebook.meta)
+      });
+    });
+
+    data.next     = parseLinkHeader(xhr.getResponseHeader('link')).next || null;
+    data.filtered = true;
+
+    return done();
+  });
+};
+
+/**
+ * Delete a single notebook from the server.
+ *
+ * @param {Object}   data
+ * @param {Function} next
+ * @param {Function} done
+ */
+var removePlugin = function (data, next, done) {
+  var path = '/notebooks/' + encodeURIComponent(data.id);
+
+  return request('DELETE', path, null, function (err) {
+    return err ? next(err) : done();
+  });
+};
+
+/**
+ * Set the config option for the authentication text.
+ */
+App.config.set('authenticateText', 'Connect to notebook server');
+
+/**
+ * A { key: function } map of all middleware used in the plugin.
+ *
+ * @type {Object}
+ */
+module.exports = {
+  'persistence:change':         changePlugin,
+  'persistence:authenticate':   authenticatedPlugin,
+  'persistence:unauthenticate': unauthenticatePlugin,
+  'persistence:authenticated':  authenticatedPlugin,
+  'persistence:load':           loadPlugin,
+  'persistence:save':           savePlugin,
+  'persistence:list':           listPlugin,
+  'persistence:remove':         removePlugin
+};
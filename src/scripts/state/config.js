@@ -35,7 +35,22 @@ var config = module.exports = new Backbone.Model({
 
   // Content options.
   content:        '',
-  defaultContent: ''
+  defaultContent: '',
+
+  // Execute code cells in a hidden `frame` or a dedicated `worker`.
+  executionEngine: 'frame',
+
+  // Stop executing the notebook when a cell fails.
+  stopOnError: false,
+
+  // When a cell executes, mark the cells depending on its globals as stale
+  // (`flag`) or execute them again (`execute`), instead of marking every cell
+  // below as stale.
+  reactive: false,
+
+  // The url of package bundles loaded with `require`, with `{name}` and
+  // `{version}` placeholders.
+  packageMirror: 'https://unpkg.com/{name}@{version}'
 });
 
 /**
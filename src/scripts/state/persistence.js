@@ -4,6 +4,10 @@ var config           = require('./config');
 var messages         = require('./messages');
 var middleware       = require('./middleware');
 var bounce           = require('../lib/bounce');
+var notifyError      = require('../lib/notify-error');
+var detectFormat     = require('../lib/detect-format');
+var requestContent   = require('../lib/request-content');
+var notebookList     = require('../lib/notebook-list');
 var isMac            = require('../lib/browser/about').mac;
 var Notebook         = require('../models/notebook');
 var PersistenceItems = require('../collections/persistence-items');
@@ -20,7 +24,8 @@ var Persistence = Backbone.Model.extend({
     state:      0,
     userId:     null,
     userTitle:  '',
-    readyState: false
+    readyState: false,
+    conflict:   false
   }
 });
 
@@ -29,15 +34,16 @@ var Persistence = Backbone.Model.extend({
  *
  * @type {Number}
  */
-Persistence.prototype.NULL      = Persistence.NULL      = 0;
-Persistence.prototype.SAVING    = Persistence.SAVING    = 1;
-Persistence.prototype.LOADING   = Persistence.LOADING   = 2;
-Persistence.prototype.SAVE_FAIL = Persistence.SAVE_FAIL = 3;
-Persistence.prototype.SAVE_DONE = Persistence.SAVE_DONE = 4;
-Persistence.prototype.LOAD_FAIL = Persistence.LOAD_FAIL = 5;
-Persistence.prototype.LOAD_DONE = Persistence.LOAD_DONE = 6;
-Persistence.prototype.CHANGED   = Persistence.CHANGED   = 7;
-Persistence.prototype.CLONING   = Persistence.CLONING   = 8;
+Persistence.prototype.NULL          = Persistence.NULL          = 0;
+Persistence.prototype.SAVING        = Persistence.SAVING        = 1;
+Persistence.prototype.LOADING       = Persistence.LOADING       = 2;
+Persistence.prototype.SAVE_FAIL     = Persistence.SAVE_FAIL     = 3;
+Persistence.prototype.SAVE_DONE     = Persistence.SAVE_DONE     = 4;
+Persistence.prototype.LOAD_FAIL     = Persistence.LOAD_FAIL     = 5;
+Persistence.prototype.LOAD_DONE     = Persistence.LOAD_DONE     = 6;
+Persistence.prototype.CHANGED       = Persistence.CHANGED       = 7;
+Persistence.prototype.CLONING       = Persistence.CLONING       = 8;
+Persistence.prototype.SAVE_CONFLICT = Persistence.SAVE_CONFLICT = 9;
 
 /**
  * Return whether the current user session is the owner of the current notebook.
@@ -94,7 +100,8 @@ Persistence.prototype.isAuthenticated = function () {
  */
 Persistence.prototype.isSaved = function (model) {
   // Check against a map of the different states.
-  return model.get('savedContent') === model.get('content');
+  return model.get('savedContent') === model.get('content') &&
+    _.isEqual(model.get('savedAttachments'), model.get('attachments'));
 };
 
 /**
@@ -108,7 +115,8 @@ Persistence.prototype.isCurrentSaved = function () {
 
 /**
  * Check whether a notebook should be saved. There are a number of factors that
- * dictate whether we *should* save the notebook.
+ * dictate whether we *should* save the notebook. Automatic saves are paused
+ * while a save conflict is unresolved.
  *
  * @param  {Object}  model
  * @return {Boolean}
@@ -116,6 +124,7 @@ Persistence.prototype.isCurrentSaved = function () {
 Persistence.prototype.shouldSave = function (model) {
   return !this.isNew(model) &&
     !this.isSaved(model) &&
+    !this.get('conflict') &&
     this.isOwner(model) &&
     this.isAuthenticated();
 };
@@ -175,12 +184,22 @@ Persistence.prototype.new = function (done) {
 };
 
 /**
- * Save a notebook model.
+ * Save a notebook model. Persistence layers should refuse to overwrite changes
+ * made elsewhere since the notebook was loaded, unless the `force` option is
+ * set, by passing back an error with the `conflict` property set.
  *
  * @param {Object}   model
+ * @param {Object}   [options]
  * @param {Function} done
  */
-Persistence.prototype.save = function (model, done) {
+Persistence.prototype.save = function (model /*, options */, done) {
+  var options = {};
+
+  if (typeof done === 'object') {
+    options = arguments[1];
+    done    = arguments[2];
+  }
+
   if (!config.get('savable')) {
     return done && done(new Error('Save is not available'));
   }
@@ -193,20 +212,31 @@ Persistence.prototype.save = function (model, done) {
 
   middleware.trigger(
     'persistence:save',
-    this.getMiddlewareData(model),
+    _.extend(this.getMiddlewareData(model), {
+      force: !!options.force
+    }),
     _.bind(function (err, data) {
       if (err) {
-        this.set('state', Persistence.SAVE_FAIL);
+        if (err.conflict) {
+          this.set('conflict', true);
+        }
+
+        this.set('state', err.conflict ?
+          Persistence.SAVE_CONFLICT : Persistence.SAVE_FAIL);
         return done && done(err);
       }
 
+      this.set('conflict', false);
+
       model.set({
-        id:           data.id,
-        content:      data.content,
-        savedContent: data.content,
-        ownerId:      data.ownerId,
-        ownerTitle:   data.ownerTitle,
-        updatedAt:    new Date()
+        id:               data.id,
+        content:          data.content,
+        savedContent:     data.content,
+        savedAttachments: data.attachments,
+        ownerId:          data.ownerId,
+        ownerTitle:       data.ownerTitle,
+        revision:         data.revision,
+        updatedAt:        data.updatedAt || new Date()
       });
 
       model.get('meta').reset(data.meta);
@@ -333,18 +363,22 @@ Persistence.prototype.load = function (model, done) {
   return middleware.trigger(
     'persistence:load',
     _.extend(this.getMiddlewareData(model), {
-      meta:    {},
-      content: null,
-      cells:   null
+      meta:        {},
+      content:     null,
+      cells:       null,
+      revision:    null,
+      attachments: []
     }),
     _.bind(function (err, data) {
       // Update all relevant model attributes.
       model.set({
-        id:         data.id,
-        content:    data.content,
-        ownerId:    data.ownerId,
-        ownerTitle: data.ownerTitle,
-        updatedAt:  data.updatedAt
+        id:          data.id,
+        content:     data.content,
+        ownerId:     data.ownerId,
+        ownerTitle:  data.ownerTitle,
+        revision:    data.revision,
+        updatedAt:   data.updatedAt,
+        attachments: data.attachments || []
       });
 
       /**
@@ -367,6 +401,16 @@ Persistence.prototype.load = function (model, done) {
   );
 };
 
+/**
+ * Discard the current notebook state and load it again from the persistence
+ * layer.
+ *
+ * @param {Function} done
+ */
+Persistence.prototype.reload = function (done) {
+  return this.load(new Notebook({ id: this.get('notebook').get('id') }), done);
+};
+
 /**
  * Extremely basic model load function.
  */
@@ -383,6 +427,7 @@ Persistence.prototype.loadModel = function (model, done) {
     // Serialize the loaded model data to make sure it's all valid.
     return this.serialize(model, _.bind(function (err) {
       model.set('savedContent', model.get('content'));
+      model.set('savedAttachments', model.get('attachments'));
 
       return done && done(err);
     }, this));
@@ -391,21 +436,334 @@ Persistence.prototype.loadModel = function (model, done) {
 
 /**
  * Generate a list of all loadable notebooks. Note that this will often
- * involve going to the network or disk.
+ * involve going to the network or disk. Accepts an optional search `query`,
+ * required `tags`, the `sort` order (`updatedAt` or `title`) and the `page`
+ * token passed back as `next` when more notebooks are available. Requesting a
+ * page appends to the current list instead of replacing it. Calls back with an
+ * object of the listed `items`, the `next` page and whether the backend
+ * `filtered` the notebooks itself.
  *
+ * @param {Object}   options
  * @param {Function} done
  */
-Persistence.prototype.list = function (done) {
+Persistence.prototype.list = function (options, done) {
+  if (typeof options === 'function') {
+    done    = options;
+    options = {};
+  }
+
+  options = options || {};
+
   if (!this.isAuthenticated()) {
     return done && done(new Error('Not authenticated'));
   }
 
+  return middleware.trigger('persistence:list', {
+    items:    [],
+    query:    options.query || '',
+    tags:     options.tags || [],
+    sort:     options.sort || 'updatedAt',
+    page:     options.page || null,
+    next:     null,
+    filtered: false
+  }, _.bind(function (err, data) {
+    var items = this.get('items');
+
+    // Filter the notebooks when the plugin couldn't search the backend.
+    var list = data.filtered ? data.items : notebookList.filter(data.items, data);
+
+    items.order = data.sort;
+    items[data.page ? 'add' : 'set'](list, { merge: true });
+    items.sort();
+
+    return done && done(err, {
+      items:    items.toJSON(),
+      next:     data.next || null,
+      filtered: data.filtered
+    });
+  }, this));
+};
+
+/**
+ * Generate a list of previous revisions of a notebook, most recent first. Not
+ * every persistence layer keeps revisions, so the list may be empty.
+ *
+ * @param {Object}   model
+ * @param {Function} done
+ */
+Persistence.prototype.history = function (model, done) {
+  if (this.isNew(model)) {
+    return done(new Error('Unsaved notebooks have no history'));
+  }
+
   return middleware.trigger(
-    'persistence:list', [], _.bind(function (err, list) {
-      this.get('items').set(list);
+    'persistence:history',
+    _.extend(this.getMiddlewareData(model), {
+      revisions: []
+    }),
+    function (err, data) {
+      return done(err, data && data.revisions);
+    }
+  );
+};
 
-      return done(err, this.get('items').toJSON());
-    }, this)
+/**
+ * Load the content of a single notebook revision, without altering the
+ * notebook model.
+ *
+ * @param {Object}   model
+ * @param {String}   revision
+ * @param {Function} done
+ */
+Persistence.prototype.loadRevision = function (model, revision, done) {
+  return middleware.trigger(
+    'persistence:revision',
+    _.extend(this.getMiddlewareData(model), {
+      revision: revision,
+      content:  null
+    }),
+    function (err, data) {
+      if (!err && !_.isString(data.content)) {
+        err = new Error('Revision not found');
+      }
+
+      return done(err, data && data.content);
+    }
+  );
+};
+
+/**
+ * Restore previous content as the current notebook content and save it.
+ *
+ * @param {String}   content
+ * @param {Function} done
+ */
+Persistence.prototype.restore = function (content, done) {
+  var current = this.get('notebook');
+
+  if (!this.isOwner(current)) {
+    return done && done(new Error('You are not the current notebook owner'));
+  }
+
+  var model = new Notebook({
+    id:         current.get('id'),
+    content:    content,
+    ownerId:    current.get('ownerId'),
+    ownerTitle: current.get('ownerTitle'),
+    revision:   current.get('revision'),
+    updatedAt:  current.get('updatedAt')
+  });
+
+  return this.loadModel(model, _.bind(function (err) {
+    if (err) {
+      return done && done(err);
+    }
+
+    return this.save(model, done);
+  }, this));
+};
+
+/**
+ * Import a notebook from another format as a new, unsaved notebook.
+ *
+ * @param {String}   content
+ * @param {String}   format
+ * @param {Function} done
+ */
+Persistence.prototype.importNotebook = function (content, format, done) {
+  return this.parseNotebook(content, format, _.bind(function (err, data) {
+    if (err) {
+      return done && done(err);
+    }
+
+    return this.loadCells(data.cells, data.meta, done);
+  }, this));
+};
+
+/**
+ * Parse notebook content in another format into an array of `cells` and the
+ * notebook `meta` data.
+ *
+ * @param {String}   content
+ * @param {String}   format
+ * @param {Function} done
+ */
+Persistence.prototype.parseNotebook = function (content, format, done) {
+  return middleware.trigger(
+    'persistence:import',
+    {
+      format:  format,
+      content: content,
+      meta:    {},
+      cells:   null
+    },
+    function (err, data) {
+      if (!err && !_.isArray(data.cells)) {
+        err = new Error('Unsupported import format');
+      }
+
+      return done(err, data);
+    }
+  );
+};
+
+/**
+ * Load an array of cells and meta data as a new, unsaved notebook.
+ *
+ * @param {Array}    cells
+ * @param {Object}   meta
+ * @param {Function} done
+ */
+Persistence.prototype.loadCells = function (cells, meta, done) {
+  var model = new Notebook({ cells: cells });
+
+  model.get('meta').reset(meta);
+
+  return this.serialize(model, _.bind(function (err) {
+    if (err) {
+      return done && done(err);
+    }
+
+    return this.loadModel(model, function (err) {
+      // Imported notebooks have never been saved.
+      model.unset('savedContent');
+      model.unset('savedAttachments');
+
+      return done && done(err);
+    });
+  }, this));
+};
+
+/**
+ * Open a notebook from a remote url as a new, unsaved notebook. The content is
+ * requested using the `ajax` middleware, so any proxy plugins apply.
+ *
+ * @param {String}   url
+ * @param {Function} done
+ */
+Persistence.prototype.loadUrl = function (url, done) {
+  this.set('state', Persistence.LOADING);
+
+  /**
+   * Complete the load and set the state.
+   *
+   * @param {Error} err
+   */
+  var complete = _.bind(function (err) {
+    this.set('state', err ? Persistence.LOAD_FAIL : Persistence.LOAD_DONE);
+
+    return done && done(err);
+  }, this);
+
+  return requestContent(url, _.bind(function (err, content) {
+    if (err) {
+      return complete(err);
+    }
+
+    var format = detectFormat(url.split(/[?#]/)[0], content);
+
+    return this.importNotebook(content, format, complete);
+  }, this));
+};
+
+/**
+ * Generate a list of the templates available for new notebooks. Every template
+ * has a `title`, an optional `description` and either the notebook `content`
+ * or a `url` to load it from.
+ *
+ * @param {Function} done
+ */
+Persistence.prototype.templates = function (done) {
+  return middleware.trigger('persistence:templates', {
+    templates: []
+  }, function (err, data) {
+    return done(err, data && data.templates);
+  });
+};
+
+/**
+ * Create a new, unsaved notebook from a template. The template cells and meta
+ * data are passed through the `persistence:template` middleware first, which
+ * allows the template front matter to set up the notebook.
+ *
+ * @param {Object}   template
+ * @param {Function} done
+ */
+Persistence.prototype.newFromTemplate = function (template, done) {
+  this.set('state', Persistence.LOADING);
+
+  /**
+   * Complete the load and set the state.
+   *
+   * @param {Error} err
+   */
+  var complete = _.bind(function (err) {
+    this.set('state', err ? Persistence.LOAD_FAIL : Persistence.LOAD_DONE);
+
+    return done && done(err);
+  }, this);
+
+  /**
+   * Load the template content into a new notebook.
+   *
+   * @param {Error}  err
+   * @param {String} content
+   */
+  var load = _.bind(function (err, content) {
+    if (err) {
+      return complete(err);
+    }
+
+    var format = detectFormat((template.url || '').split(/[?#]/)[0], content);
+
+    return this.parseNotebook(content, format, _.bind(function (err, data) {
+      if (err) {
+        return complete(err);
+      }
+
+      return middleware.trigger('persistence:template', {
+        template: template,
+        cells:    data.cells,
+        meta:     data.meta
+      }, _.bind(function (err, data) {
+        if (err) {
+          return complete(err);
+        }
+
+        return this.loadCells(data.cells, data.meta, complete);
+      }, this));
+    }, this));
+  }, this);
+
+  if (template.content != null) {
+    return load(null, template.content);
+  }
+
+  return requestContent(template.url, load);
+};
+
+/**
+ * Export a notebook model to another format. Responds with a file object
+ * containing the `name`, `type` and `content` of the export.
+ *
+ * @param {Object}   model
+ * @param {String}   format
+ * @param {Function} done
+ */
+Persistence.prototype.exportNotebook = function (model, format, done) {
+  return middleware.trigger(
+    'persistence:export',
+    _.extend(this.getMiddlewareData(model), {
+      format: format,
+      file:   null
+    }),
+    function (err, data) {
+      if (!err && !data.file) {
+        err = new Error('Unsupported export format');
+      }
+
+      return done(err, data && data.file);
+    }
   );
 };
 
@@ -421,6 +779,7 @@ Persistence.prototype.clone = function (done) {
   model.unset('id');
   model.unset('ownerId');
   model.unset('ownerTitle');
+  model.unset('revision');
   model.set('meta', model.get('meta').clone());
 
   middleware.trigger(
@@ -498,6 +857,9 @@ persistence.listenTo(persistence, 'change:notebook', (function () {
     // Alias the current model to remove later.
     model = persistence.get('notebook');
 
+    // Conflicts only apply to the notebook that failed to save.
+    persistence.set('conflict', false);
+
     /**
      * Deserialize the notebook on static changes.
      */
@@ -519,7 +881,21 @@ persistence.listenTo(persistence, 'change:notebook', (function () {
     /**
      * Saved content can change independently of text content.
      */
-    persistence.listenTo(model, 'change:savedContent', updateState);
+    persistence.listenTo(
+      model, 'change:savedContent change:savedAttachments', updateState
+    );
+
+    /**
+     * Attachments are saved alongside the notebook content.
+     */
+    persistence.listenTo(model, 'change:attachments', function () {
+      updateState();
+
+      middleware.trigger(
+        'persistence:change',
+        persistence.getMiddlewareData(persistence.get('notebook'))
+      );
+    });
 
     /**
      * Any changes that occur should be synced with the state and config.
@@ -600,6 +976,20 @@ middleware.register('application:ready', function (app, next) {
     return persistence.load(notebook, next);
   }
 
+  // Open notebooks from a url when there is no id to load, falling back to the
+  // configured content when the url can't be loaded.
+  if (config.get('sourceUrl')) {
+    return persistence.loadUrl(config.get('sourceUrl'), function (err) {
+      if (!err) {
+        return next();
+      }
+
+      notifyError('Could not open the notebook url')(err);
+
+      return persistence.loadModel(notebook, next);
+    });
+  }
+
   return persistence.loadModel(notebook, next);
 });
 
@@ -627,6 +1017,22 @@ middleware.register('application:ready', function (app, next) {
     persistence.load(new Notebook({ id: configId }));
   });
 
+  /**
+   * Open notebooks when the source url is changed, for example by the parent
+   * frame.
+   */
+  persistence.listenTo(config, 'change:sourceUrl', function () {
+    var sourceUrl = config.get('sourceUrl');
+
+    if (!sourceUrl) {
+      return;
+    }
+
+    persistence.loadUrl(
+      sourceUrl, notifyError('Could not open the notebook url')
+    );
+  });
+
   return next();
 });
 
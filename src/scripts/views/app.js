@@ -2,19 +2,22 @@ var _        = require('underscore');
 var DOMBars  = require('../lib/dombars');
 var Backbone = require('backbone');
 
-var View         = require('./template');
-var Sidebar      = require('./sidebar');
-var Notebook     = require('./notebook');
-var EditNotebook = require('./edit-notebook');
-var bounce       = require('../lib/bounce');
-var controls     = require('../lib/controls');
-var state        = require('../state/state');
-var config       = require('../state/config');
-var messages     = require('../state/messages');
-var middleware   = require('../state/middleware');
-var persistence  = require('../state/persistence');
-var domListen    = require('../lib/dom-listen');
-var notifyError  = require('../lib/notify-error');
+var View            = require('./template');
+var Sidebar         = require('./sidebar');
+var Notebook        = require('./notebook');
+var EditNotebook    = require('./edit-notebook');
+var RevisionHistory = require('./revision-history');
+var ImportExport    = require('./import-export');
+var Attachments     = require('./attachments');
+var bounce          = require('../lib/bounce');
+var controls        = require('../lib/controls');
+var state           = require('../state/state');
+var config          = require('../state/config');
+var messages        = require('../state/messages');
+var middleware      = require('../state/middleware');
+var persistence     = require('../state/persistence');
+var domListen       = require('../lib/dom-listen');
+var notifyError     = require('../lib/notify-error');
 
 var ENTER_KEY    = 13;
 var EMBED_SCRIPT = process.env.embed.script;
@@ -46,13 +49,21 @@ App.prototype.events = {
       e.stopImmediatePropagation();
     }
   },
-  'click .notebook-help':   'showShortcuts',
-  'click .notebook-exec':   'runNotebook',
-  'click .notebook-clone':  'cloneNotebook',
-  'click .notebook-save':   'saveNotebook',
-  'click .notebook-share':  'shareNotebook',
-  'click .toggle-notebook': 'toggleView',
-  'click .notebook-new':    'newNotebook',
+  'click .notebook-help':         'showShortcuts',
+  'click .notebook-exec':         'runNotebook',
+  'click .notebook-run':          'showRunOptions',
+  'click .notebook-stop':         'stopNotebook',
+  'click .notebook-restart':      'restartNotebook',
+  'click .notebook-clone':        'cloneNotebook',
+  'click .notebook-save':         'saveNotebook',
+  'click .notebook-share':        'shareNotebook',
+  'click .notebook-history':      'showHistory',
+  'click .notebook-files':        'showImportExport',
+  'click .notebook-attachments':  'showAttachments',
+  'click .toggle-notebook':       'toggleView',
+  'click .notebook-new':          'newNotebook',
+  'click .notebook-new-template': 'newFromTemplate',
+  'click .notebook-open-url':     'openUrl',
   'keyup .notebook-title': function (e, el) {
     var meta = persistence.get('notebook').get('meta');
 
@@ -147,7 +158,8 @@ App.prototype.initialize = function () {
       5: 'Load Failed',
       6: isNew ? '' : 'Loaded ' + timestamp,
       7: canSave ? 'Unsaved changes' : '', // Avoid displaying when impossible.
-      8: 'Cloning notebook'
+      8: 'Cloning notebook',
+      9: 'Save conflict'
     };
 
     if (currentState === 5) {
@@ -157,6 +169,10 @@ App.prototype.initialize = function () {
       });
     }
 
+    if (currentState === 9) {
+      this.resolveConflict();
+    }
+
     state.set('loading',       currentState === 2);
     this.data.set('stateText', states[currentState]);
   }, this));
@@ -209,9 +225,18 @@ App.prototype.isNotebook = function () {
  * Render the standard notebook view.
  */
 App.prototype.showNotebook = function () {
-  this.data.set('notebook', new Notebook({
+  var notebook = new Notebook({
     model: persistence.get('notebook')
-  }));
+  });
+
+  // Display the progress of notebook executions in the toolbar.
+  this.listenTo(notebook.data, 'change:progress', function (data, progress) {
+    this.data.set('progressText', progress ?
+      'Running cell ' + progress.current + ' of ' + progress.total : '');
+  });
+
+  this.data.set('progressText', '');
+  this.data.set('notebook', notebook);
 
   this.data.set('activeView', 'view');
   DOMBars.VM.exec(_.bind(messages.trigger, messages, 'refresh'));
@@ -221,6 +246,7 @@ App.prototype.showNotebook = function () {
  * Render the notebook raw source editor.
  */
 App.prototype.showEditor = function () {
+  this.data.set('progressText', '');
   this.data.set('notebook', new EditNotebook({
     model: persistence.get('notebook')
   }));
@@ -295,6 +321,112 @@ App.prototype.runNotebook = function () {
   return this.data.get('notebook').execute();
 };
 
+/**
+ * Show the notebook execution commands.
+ */
+App.prototype.showRunOptions = function () {
+  var notebook = this.data.get('notebook');
+  var current  = notebook.activeView || notebook.getViews()[0];
+  var action;
+
+  var actions = {
+    all: function () {
+      return notebook.execute();
+    },
+    above: function () {
+      return notebook.executeAbove(current);
+    },
+    below: function () {
+      return notebook.executeBelow(current);
+    },
+    restart: function () {
+      return notebook.restart(true);
+    }
+  };
+
+  middleware.trigger('ui:modal', {
+    title: 'Play Notebook',
+    content: '<div class="btn-list text-center">' +
+      '<button class="btn btn-secondary" data-run="above">' +
+      'Run All Above</button>' +
+      '<button class="btn btn-secondary" data-run="below">' +
+      'Run This and Below</button>' +
+      '<button class="btn btn-secondary" data-run="restart">' +
+      'Re-run All From Scratch</button>' +
+      '<button class="btn btn-primary" data-run="all">Run All</button>' +
+      '</div>' +
+      '<label class="notebook-run-option">' +
+      '<input type="checkbox"' + (config.get('stopOnError') ? ' checked' : '') +
+      '> Stop on the first error.' +
+      '</label>' +
+      '<label class="notebook-run-option">When a cell executes, ' +
+      '<select class="notebook-run-reactive">' +
+      _.map([
+        ['',        'mark every cell below as stale'],
+        ['flag',    'mark dependent cells as stale'],
+        ['execute', 'execute dependent cells again']
+      ], function (option) {
+        return '<option value="' + option[0] + '"' +
+          ((config.get('reactive') || '') === option[0] ? ' selected' : '') +
+          '>' + option[1] + '</option>';
+      }).join('') +
+      '</select>.' +
+      '</label>',
+    show: function (modal) {
+      Backbone.$(modal.el)
+        .on('click', '[data-run]', function (e, target) {
+          action = target.getAttribute('data-run');
+          return modal.close();
+        })
+        .on('change', '.notebook-run-option input', function (e, target) {
+          return config.set('stopOnError', target.checked);
+        })
+        .on('change', '.notebook-run-reactive', function (e, target) {
+          return config.set('reactive', target.value || false);
+        });
+    }
+  }, function () {
+    return action && actions[action]();
+  });
+};
+
+/**
+ * Stop the notebook execution.
+ */
+App.prototype.stopNotebook = function () {
+  return this.data.get('notebook').stop();
+};
+
+/**
+ * Restart the notebook sandbox, optionally executing every cell afterward.
+ */
+App.prototype.restartNotebook = function () {
+  var notebook = this.data.get('notebook');
+  var action;
+
+  middleware.trigger('ui:modal', {
+    title: 'Restart Notebook',
+    content: '<p>' +
+      'Restarting clears every result and the variables defined by executed ' +
+      'cells.' +
+      '</p>' +
+      '<div class="btn-list text-center">' +
+      '<button class="btn btn-secondary" data-restart="restart">Restart' +
+      '</button>' +
+      '<button class="btn btn-primary" data-restart="execute">' +
+      'Restart and Play</button>' +
+      '</div>',
+    show: function (modal) {
+      Backbone.$(modal.el).on('click', '[data-restart]', function (e, target) {
+        action = target.getAttribute('data-restart');
+        return modal.close();
+      });
+    }
+  }, function () {
+    return action && notebook.restart(action === 'execute');
+  });
+};
+
 /**
  * Clone the current notebook in-memory.
  */
@@ -303,12 +435,79 @@ App.prototype.cloneNotebook = function () {
 };
 
 /**
- * Manually attempt to save the notebook.
+ * Manually attempt to save the notebook. Save conflicts are handled separately
+ * when the persistence state changes.
  */
 App.prototype.saveNotebook = function () {
-  return persistence.save(
-    persistence.get('notebook'), notifyError('Could not save notebook')
-  );
+  var notify = notifyError('Could not save notebook');
+
+  return persistence.save(persistence.get('notebook'), function (err) {
+    return !(err && err.conflict) && notify(err);
+  });
+};
+
+/**
+ * Ask the user how to resolve a conflict with changes saved elsewhere. Only one
+ * conflict modal is open at a time.
+ */
+App.prototype.resolveConflict = function () {
+  if (this._resolvingConflict) {
+    return;
+  }
+
+  var actions = {
+    overwrite: function () {
+      return persistence.save(persistence.get('notebook'), {
+        force: true
+      }, notifyError('Could not save notebook'));
+    },
+    reload: function () {
+      return persistence.reload(notifyError('Could not reload notebook'));
+    },
+    clone: function () {
+      return persistence.clone(function (err) {
+        if (err) {
+          return notifyError('Could not clone notebook')(err);
+        }
+
+        return persistence.save(
+          persistence.get('notebook'), notifyError('Could not save notebook')
+        );
+      });
+    }
+  };
+
+  var action;
+
+  this._resolvingConflict = true;
+
+  middleware.trigger('ui:modal', {
+    title: 'Save Conflict',
+    content: '<p>' +
+      'This notebook has been saved from somewhere else since you opened it.' +
+      '</p>' +
+      '<p>' +
+      'Press \'Overwrite\' to replace those changes with yours, \'Reload\' ' +
+      'to discard your changes or \'Save As Copy\' to keep both versions.' +
+      '</p>' +
+      '<div class="btn-list text-center">' +
+      '<button class="btn btn-secondary" data-resolve="reload">Reload</button>' +
+      '<button class="btn btn-secondary" data-resolve="clone">' +
+      'Save As Copy</button>' +
+      '<button class="btn btn-primary" data-resolve="overwrite">' +
+      'Overwrite</button>' +
+      '</div>',
+    show: function (modal) {
+      Backbone.$(modal.el).on('click', '[data-resolve]', function (e, target) {
+        action = target.getAttribute('data-resolve');
+        return modal.close();
+      });
+    }
+  }, _.bind(function () {
+    this._resolvingConflict = false;
+
+    return action && actions[action]();
+  }, this));
 };
 
 /**
@@ -342,10 +541,101 @@ App.prototype.newNotebook = function () {
   }, newNotebook);
 };
 
+/**
+ * Choose a template to create a new, unsaved notebook from.
+ */
+App.prototype.newFromTemplate = function () {
+  var templates = [];
+
+  middleware.trigger('ui:modal', {
+    title: 'New from Template',
+    content: function (done) {
+      return persistence.templates(function (err, list) {
+        if (err) {
+          notifyError('Could not load notebook templates')(err);
+          return done(err);
+        }
+
+        templates = list;
+
+        return done(null, (persistence.isCurrentSaved() ? '' :
+          '<p>Creating a notebook replaces the current notebook. Your ' +
+          'unsaved changes will be lost.</p>') +
+          '<ul class="items-list notebook-templates">' +
+          _.map(templates, function (template, index) {
+            return '<li data-template="' + index + '">' +
+              '<div class="item-name">' + _.escape(template.title) +
+              (template.description ?
+                ' <small>' + _.escape(template.description) + '</small>' : '') +
+              '</div>' +
+              '</li>';
+          }).join('') +
+          '</ul>');
+      });
+    },
+    show: function (modal) {
+      Backbone.$(modal.el).on('click', '[data-template]', function (e, target) {
+        var template = templates[target.getAttribute('data-template')];
+
+        persistence.newFromTemplate(template, function (err) {
+          if (err) {
+            return notifyError('Could not create notebook from template')(err);
+          }
+
+          return modal.close();
+        });
+      });
+    }
+  });
+};
+
+/**
+ * Prompt for a Markdown url and open it as a new, unsaved notebook.
+ */
+App.prototype.openUrl = function () {
+  middleware.trigger('ui:modal', {
+    title: 'Open from URL',
+    content: (persistence.isCurrentSaved() ? '' :
+      '<p>Opening a notebook replaces the current notebook. Your unsaved ' +
+      'changes will be lost.</p>') +
+      '<form class="notebook-open-url-form">' +
+      '<div class="form-group">' +
+      '<label class="form-label" for="notebook-open-url">URL</label>' +
+      '<div class="form-content">' +
+      '<input id="notebook-open-url" type="url" placeholder="http://">' +
+      '</div>' +
+      '</div>' +
+      '<div class="form-footer">' +
+      '<button type="submit" class="btn btn-primary">Open</button>' +
+      '</div>' +
+      '</form>',
+    show: function (modal) {
+      var inputEl = modal.el.querySelector('#notebook-open-url');
+
+      inputEl.focus();
+
+      Backbone.$(modal.el).on('submit', 'form', function (e) {
+        e.preventDefault();
+
+        if (!inputEl.value) { return; }
+
+        persistence.loadUrl(inputEl.value, function (err) {
+          if (err) {
+            return notifyError('Could not open the notebook url')(err);
+          }
+
+          return modal.close();
+        });
+      });
+    }
+  });
+};
+
 /**
  * Share the notebook inside a modal display.
  */
 App.prototype.shareNotebook = function () {
+  var meta        = persistence.get('notebook').get('meta');
   var id          = persistence.get('notebook').get('id');
   var shareScript = '<script src="' + EMBED_SCRIPT + '" data-notebook' +
     (id ? ' data-id="' + id + '"' : '') + '></script>';
@@ -359,11 +649,90 @@ App.prototype.shareNotebook = function () {
       '<p class="notebook-share-about">Copy this link to share.</p>' +
       '<input class="notebook-share-input item-share" ' +
       'value="' + config.get('url') + '" readonly>' +
-      '</div>',
+      '</div>' +
+      (config.get('savable') && persistence.isCurrentOwner() ?
+        '<label class="notebook-share-about notebook-share-outputs">' +
+        '<input type="checkbox"' +
+        (meta.get('saveOutputs') ? ' checked' : '') + '> ' +
+        'Save results with the notebook, so they are visible before running.' +
+        '</label>' : ''),
+    show: function (modal) {
+      Backbone.$(modal.el)
+        .on('click', '.notebook-share-input', function (e) {
+          e.target.select();
+        })
+        .on('change', '.notebook-share-outputs input', function (e, target) {
+          if (target.checked) {
+            return meta.set('saveOutputs', true);
+          }
+
+          return meta.unset('saveOutputs');
+        });
+    }
+  });
+};
+
+/**
+ * Show the revision history of the current notebook inside a modal display.
+ */
+App.prototype.showHistory = function () {
+  var history = new RevisionHistory({ model: persistence.get('notebook') });
+
+  middleware.trigger('ui:modal', {
+    title: 'Revision History',
+    content: '',
+    show: function (modal) {
+      history.render().appendTo(modal.el.querySelector('.modal-body'));
+
+      history.listenTo(history, 'restore', function (view, err) {
+        modal.close();
+
+        return notifyError('Could not restore revision')(err);
+      });
+    }
+  }, function () {
+    history.remove();
+  });
+};
+
+/**
+ * Show the notebook attachments inside a modal display.
+ */
+App.prototype.showAttachments = function () {
+  var view = new Attachments({ model: persistence.get('notebook') });
+
+  middleware.trigger('ui:modal', {
+    title: 'Attachments',
+    content: '',
     show: function (modal) {
-      Backbone.$(modal.el).on('click', '.notebook-share-input', function (e) {
-        e.target.select();
+      view.render().appendTo(modal.el.querySelector('.modal-body'));
+    }
+  }, function () {
+    view.remove();
+  });
+};
+
+/**
+ * Show the import and export options inside a modal display.
+ */
+App.prototype.showImportExport = function () {
+  var view = new ImportExport();
+
+  middleware.trigger('ui:modal', {
+    title: 'Import & Export',
+    content: '',
+    show: function (modal) {
+      view.render().appendTo(modal.el.querySelector('.modal-body'));
+
+      view.listenTo(view, 'import', function (view, err) {
+        if (err) {
+          return notifyError('Could not import notebook')(err);
+        }
+
+        return modal.close();
       });
     }
+  }, function () {
+    view.remove();
   });
 };
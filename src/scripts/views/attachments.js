@@ -0,0 +1,147 @@
+var _           = require('underscore');
+var async       = require('async');
+var View        = require('./view');
+var notifyError = require('../lib/notify-error');
+
+/**
+ * Match mime types of files that can be attached as text. Any other files
+ * (E.g. images) are attached as data uris, since persistence plugins only store
+ * text, which means they aren't real images in the stored notebook.
+ *
+ * @type {RegExp}
+ */
+var TEXT_TYPE_REGEXP = /^(?:text\/|application\/(?:[\w\-.]+\+)?(?:json|xml|yaml|javascript)$)/i;
+
+/**
+ * Match file names that are text, even when the browser doesn't know the type.
+ *
+ * @type {RegExp}
+ */
+var TEXT_NAME_REGEXP = /\.(?:raml|ya?ml|json|md|txt|csv|xml|js)$/i;
+
+/**
+ * Format a file size for display.
+ *
+ * @param  {Number} size
+ * @return {String}
+ */
+var formatSize = function (size) {
+  if (size < 1024) {
+    return size + ' B';
+  }
+
+  return (size / 1024).toFixed(1) + ' KB';
+};
+
+/**
+ * Read a file into a notebook attachment object.
+ *
+ * @param {File}     file
+ * @param {Function} done
+ */
+var readAttachment = function (file, done) {
+  var reader = new FileReader();
+  var isText = TEXT_TYPE_REGEXP.test(file.type) ||
+    TEXT_NAME_REGEXP.test(file.name);
+
+  reader.onload = function () {
+    return done(null, {
+      name:    file.name,
+      type:    file.type || 'text/plain',
+      content: reader.result
+    });
+  };
+
+  reader.onerror = function () {
+    return done(new Error('Could not read ' + file.name));
+  };
+
+  return reader[isText ? 'readAsText' : 'readAsDataURL'](file);
+};
+
+/**
+ * Lists the files attached to a notebook, which are available to code cells
+ * using `attachment(name)`.
+ *
+ * @type {Function}
+ */
+var Attachments = module.exports = View.extend({
+  className: 'attachments',
+  events: {
+    'change .attachments-file': function (e, target) {
+      return this.addFiles(target.files);
+    },
+    'click [data-remove]': function (e, target) {
+      return this.model.removeAttachment(target.getAttribute('data-remove'));
+    }
+  }
+});
+
+/**
+ * Re-render the list every time the attachments change.
+ */
+Attachments.prototype.initialize = function () {
+  View.prototype.initialize.apply(this, arguments);
+
+  this.listenTo(this.model, 'change:attachments', this.render);
+};
+
+/**
+ * Render the list of attachments.
+ *
+ * @return {Attachments}
+ */
+Attachments.prototype.render = function () {
+  View.prototype.render.call(this);
+
+  var attachments = this.model.get('attachments');
+
+  this.el.innerHTML = '<p class="attachments-about">' +
+    'Attached files are saved with the notebook. Read them in code cells ' +
+    'using <code>attachment(\'name\')</code>. Binary files, such as images, ' +
+    'are saved as data uri text.' +
+    '</p>' +
+    (attachments.length ?
+      '<ul class="items-list">' +
+      _.map(attachments, function (attachment) {
+        var name = _.escape(attachment.name);
+
+        return '<li>' +
+          '<button class="btn btn-secondary btn-small attachments-remove" ' +
+          'data-remove="' + name + '">Remove</button>' +
+          '<div class="item-name">' + name +
+          ' <small>' + formatSize(String(attachment.content || '').length) +
+          '</small></div>' +
+          '</li>';
+      }).join('') +
+      '</ul>' :
+      '<p class="attachments-empty">No attached files.</p>') +
+    '<div class="form-group">' +
+    '<label class="form-label" for="attachments-file">Attach</label>' +
+    '<div class="form-content">' +
+    '<input id="attachments-file" class="attachments-file" type="file" ' +
+    'multiple>' +
+    '</div>' +
+    '</div>';
+
+  return this;
+};
+
+/**
+ * Attach files to the notebook, replacing attachments with the same name.
+ *
+ * @param {FileList} files
+ */
+Attachments.prototype.addFiles = function (files) {
+  async.mapSeries(_.toArray(files), readAttachment, _.bind(
+    function (err, attachments) {
+      if (err) {
+        return notifyError('Could not attach the file')(err);
+      }
+
+      _.each(attachments, function (attachment) {
+        this.model.setAttachment(attachment);
+      }, this);
+    }, this
+  ));
+};
@@ -5,8 +5,23 @@ var ResultCell = require('./result-cell');
 var Completion = require('../lib/completion');
 var extraKeys  = require('./lib/extra-keys');
 var controls   = require('../lib/controls').code;
+var snapshot   = require('../lib/result-snapshot');
 var config     = require('../state/config');
 
+/**
+ * Format an execution duration for display.
+ *
+ * @param  {Number} ms
+ * @return {String}
+ */
+var formatDuration = function (ms) {
+  if (ms < 1000) {
+    return ms + ' ms';
+  }
+
+  return (ms / 1000).toFixed(1) + ' s';
+};
+
 /**
  * Initialize a new code cell view.
  *
@@ -31,6 +46,18 @@ CodeCell.prototype.initialize = function () {
     this.el.classList[isError ? 'add' : 'remove']('cell-code-error');
   });
 
+  // Remember the last execution at the time of editing, which is used by the
+  // notebook to detect stale results.
+  this.listenTo(this.model, 'change:value', function () {
+    var sandbox = this.notebook && this.notebook.sandbox;
+
+    this.data.set('changedAt', sandbox ? sandbox.executionCount : 0);
+  });
+
+  this.listenTo(this.data, 'change:stale', function (data, stale) {
+    this.el.classList[stale ? 'add' : 'remove']('cell-code-stale');
+  });
+
   // Set a static result cell instance.
   this.resultCell = new ResultCell({ model: this.model });
 };
@@ -61,6 +88,9 @@ CodeCell.prototype.template = DOMBars.Utils.mergeTemplates(
 CodeCell.prototype.events = _.extend({
   'click .cell-execute': function () {
     return this.execute();
+  },
+  'click .cell-ui-cancel': function () {
+    return this.cancel();
   }
 }, EditorCell.prototype.events);
 
@@ -73,10 +103,17 @@ CodeCell.prototype.cellControls = _.extend(
   [], EditorCell.prototype.cellControls
 );
 
-// Push the execute command into the menu.
-CodeCell.prototype.cellControls.push(_.find(controls, function (control) {
-  return control.command === 'execute';
-}));
+// Push the execute commands into the menu.
+CodeCell.prototype.cellControls.push.apply(
+  CodeCell.prototype.cellControls, _.filter(controls, function (control) {
+    return {
+      'execute':      true,
+      'executeAbove': true,
+      'executeBelow': true,
+      'executeAll':   true
+    }[control.command];
+  })
+);
 
 /**
  * Sets the options to be used by the CodeMirror instance when initialized.
@@ -101,6 +138,24 @@ CodeCell.prototype.editorOptions.extraKeys = _.extend(
   {}, EditorCell.prototype.editorOptions.extraKeys, extraKeys(controls)
 );
 
+/**
+ * Render the code cell along with any result snapshot saved with the notebook.
+ *
+ * @return {CodeCell}
+ */
+CodeCell.prototype.render = function () {
+  EditorCell.prototype.render.call(this);
+
+  var output = this.model.getMeta('output');
+
+  if (output) {
+    this.resultCell.renderSnapshot(output);
+    this.el.classList[output.isError ? 'add' : 'remove']('cell-code-error');
+  }
+
+  return this;
+};
+
 /**
  * Update the result cell index calculation.
  *
@@ -123,28 +178,130 @@ CodeCell.prototype.execute = function (done) {
 
   // First run previous cells if they need to be run.
   this.notebook.executePrevious(this, _.bind(function () {
+    var code    = this.getValue();
+    var start   = Date.now();
+    var sandbox = this.notebook.sandbox;
+
     // Add a class to the cell to display execution.
-    this.data.set('executing', true);
+    this.data.set({
+      executing:     true,
+      executionTime: null
+    });
+
     this.trigger('executing', this);
 
-    this.notebook.sandbox.execute(this.getValue(), _.bind(function (err, data) {
+    var execution = sandbox.execute(code, _.bind(function (err, data) {
+      // Discard the result when the sandbox was restarted.
+      if (this.notebook.sandbox !== sandbox) {
+        return;
+      }
+
+      delete this._execution;
+
+      // Set the execution number before the result, since executions can
+      // complete before `execute` returns.
       this.data.set({
-        executed:  true,
-        executing: false
+        executed:       true,
+        executing:      false,
+        executionCount: data.count,
+        executionTime:  formatDuration(Date.now() - start)
       });
 
       this.model.set({
+        logs:    data.logs || [],
         result:  data.result,
         isError: data.isError
       });
 
+      // Keep a snapshot of the result when the notebook saves outputs.
+      if (this.notebook.model.get('meta').get('saveOutputs')) {
+        this.model.setMeta('output', snapshot(data.result, data.isError));
+      }
+
       this.change();
       this.trigger('execute', this, data);
       return done && done(err, data);
     }, this));
+
+    // Keep the execution so it can be cancelled while running. Executions can
+    // complete immediately, E.g. with syntax errors.
+    if (this.data.get('executing')) {
+      this._execution = execution;
+    }
+
+    // Display the execution number, which orders executions in the sandbox.
+    this.data.set('executionCount', execution.count);
   }, this));
 };
 
+/**
+ * Execute every cell above the cell.
+ *
+ * @param {Function} done
+ */
+CodeCell.prototype.executeAbove = function (done) {
+  return this.notebook.executeAbove(this, done);
+};
+
+/**
+ * Execute the cell and every cell below it.
+ *
+ * @param {Function} done
+ */
+CodeCell.prototype.executeBelow = function (done) {
+  return this.notebook.executeBelow(this, done);
+};
+
+/**
+ * Restart the notebook and execute every cell from scratch.
+ *
+ * @param {Function} done
+ */
+CodeCell.prototype.executeAll = function (done) {
+  return this.notebook.restart(true, done);
+};
+
+/**
+ * Cancel the cell execution, which aborts requests and clears timers started
+ * by the cell.
+ *
+ * @return {CodeCell}
+ */
+CodeCell.prototype.cancel = function () {
+  if (this._execution) {
+    this._execution.cancel();
+  }
+
+  return this;
+};
+
+/**
+ * Clear the result and execution state of the cell, E.g. when the sandbox is
+ * restarted.
+ *
+ * @return {CodeCell}
+ */
+CodeCell.prototype.reset = function () {
+  delete this._execution;
+
+  this.data.set({
+    stale:          false,
+    executed:       false,
+    executing:      false,
+    executionTime:  null,
+    executionCount: null,
+    changedAt:      null
+  });
+
+  this.model.unset('logs');
+  this.model.unset('result');
+  this.model.unset('isError');
+  this.model.setMeta('output', undefined);
+  this.resultCell.reset();
+
+  return this;
+};
+
 /**
  * Update the result cell rendering.
  */
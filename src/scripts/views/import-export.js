@@ -0,0 +1,163 @@
+var _              = require('underscore');
+var View           = require('./view');
+var persistence    = require('../state/persistence');
+var download       = require('../lib/browser/download');
+var notifyError    = require('../lib/notify-error');
+var detectFormat   = require('../lib/detect-format');
+var requestContent = require('../lib/request-content');
+
+/**
+ * Formats available for exporting the notebook.
+ *
+ * @type {Array}
+ */
+var EXPORT_FORMATS = [{
+  format: 'ipynb',
+  title:  'Jupyter Notebook (.ipynb)'
+}, {
+  format: 'markdown',
+  title:  'Markdown (.md)'
+}, {
+  format: 'html',
+  title:  'Standalone HTML (.html)'
+}, {
+  format: 'node',
+  title:  'Node.js Script (.js)'
+}];
+
+/**
+ * Imports notebooks from files or urls and exports the current notebook.
+ *
+ * @type {Function}
+ */
+var ImportExport = module.exports = View.extend({
+  className: 'import-export',
+  events: {
+    'click [data-export]': function (e, target) {
+      return this.exportNotebook(target.getAttribute('data-export'));
+    },
+    'change .import-file': function (e, target) {
+      return target.files.length && this.importFile(target.files[0]);
+    },
+    'submit .import-url': function (e) {
+      e.preventDefault();
+
+      return this.importUrl(this.el.querySelector('.import-url input').value);
+    }
+  }
+});
+
+/**
+ * Render the import and export options.
+ *
+ * @return {ImportExport}
+ */
+ImportExport.prototype.render = function () {
+  View.prototype.render.call(this);
+
+  this.el.innerHTML = '<h5>Export</h5>' +
+    '<ul class="items-list">' +
+    _.map(EXPORT_FORMATS, function (option) {
+      return '<li data-export="' + option.format + '">' +
+        '<div class="item-name">' + option.title + '</div>' +
+        '</li>';
+    }).join('') +
+    '</ul>' +
+    '<h5>Import</h5>' +
+    (persistence.isCurrentSaved() ? '' :
+      '<p class="import-warning">' +
+      'Importing replaces the current notebook. Your unsaved changes will be ' +
+      'lost.' +
+      '</p>') +
+    '<div class="form-group">' +
+    '<label class="form-label" for="import-file">File</label>' +
+    '<div class="form-content">' +
+    '<input id="import-file" class="import-file" type="file" ' +
+    'accept=".ipynb,.md,.markdown,.txt">' +
+    '</div>' +
+    '</div>' +
+    '<form class="import-url">' +
+    '<div class="form-group">' +
+    '<label class="form-label" for="import-url">URL</label>' +
+    '<div class="form-content">' +
+    '<input id="import-url" type="url" placeholder="http://">' +
+    '</div>' +
+    '</div>' +
+    '<div class="form-footer">' +
+    '<button type="submit" class="btn btn-primary">Import</button>' +
+    '</div>' +
+    '</form>';
+
+  return this;
+};
+
+/**
+ * Download the current notebook in an export format.
+ *
+ * @param {String} format
+ */
+ImportExport.prototype.exportNotebook = function (format) {
+  persistence.exportNotebook(
+    persistence.get('notebook'),
+    format,
+    function (err, file) {
+      if (err) {
+        return notifyError('Could not export notebook')(err);
+      }
+
+      return download(file);
+    }
+  );
+};
+
+/**
+ * Import notebook content, triggering an `import` event when complete.
+ *
+ * @param {String} content
+ * @param {String} format
+ */
+ImportExport.prototype.importContent = function (content, format) {
+  persistence.importNotebook(content, format, _.bind(function (err) {
+    this.trigger('import', this, err);
+  }, this));
+};
+
+/**
+ * Import a notebook from a local file.
+ *
+ * @param {File} file
+ */
+ImportExport.prototype.importFile = function (file) {
+  var reader = new FileReader();
+
+  reader.onload = _.bind(function () {
+    return this.importContent(
+      reader.result, detectFormat(file.name, reader.result)
+    );
+  }, this);
+
+  reader.onerror = _.bind(function () {
+    this.trigger('import', this, new Error('Could not read the file'));
+  }, this);
+
+  reader.readAsText(file);
+};
+
+/**
+ * Import a notebook from a remote url.
+ *
+ * @param {String} url
+ */
+ImportExport.prototype.importUrl = function (url) {
+  if (!url) { return; }
+
+  requestContent(url, _.bind(function (err, content) {
+    if (err) {
+      return this.trigger('import', this, err);
+    }
+
+    return this.importContent(
+      content, detectFormat(url.split(/[?#]/)[0], content)
+    );
+  }, this));
+};
@@ -5,15 +5,42 @@ var CodeView   = require('./code-cell');
 var TextView   = require('./text-cell');
 var EditorView = require('./editor-cell');
 
-var Cells       = require('../collections/cells');
-var Sandbox     = require('../lib/sandbox');
-var config      = require('../state/config');
-var messages    = require('../state/messages');
-var middleware  = require('../state/middleware');
-var insertAfter = require('../lib/browser/insert-after');
-
+var Cells        = require('../collections/cells');
+var Sandbox      = require('../lib/sandbox');
+var config       = require('../state/config');
+var messages     = require('../state/messages');
+var middleware   = require('../state/middleware');
+var snapshot     = require('../lib/result-snapshot');
+var insertAfter  = require('../lib/browser/insert-after');
+var tokenHelpers = require('../lib/codemirror/token-helpers');
+
+var WorkerSandbox        = require('../lib/worker-sandbox');
 var completionMiddleware = require('../lib/sandbox-completion');
 
+/**
+ * Get the global variables defined and read by a code view. The analysis is
+ * cached until the cell value changes.
+ *
+ * @param  {Backbone.View} view
+ * @return {Object}
+ */
+var getVariables = function (view) {
+  if (!view.editor) {
+    return { defines: [], reads: [] };
+  }
+
+  var value = view.getValue();
+
+  if (!view._variables || view._variables.value !== value) {
+    view._variables = {
+      value:     value,
+      variables: tokenHelpers.getGlobalVariables(view.editor)
+    };
+  }
+
+  return view._variables.variables;
+};
+
 /**
  * Generates a generic function for appending new view instances.
  *
@@ -21,7 +48,7 @@ var completionMiddleware = require('../lib/sandbox-completion');
  * @return {Function}
  */
 var appendNewView = function (View) {
-  return function (el, value) {
+  return function (el, value, meta) {
     var view = new View({ notebook: this });
 
     // Set a default value on the view, if specified.
@@ -29,6 +56,11 @@ var appendNewView = function (View) {
       view.setValue(value);
     }
 
+    // Set the persisted cell meta data, if specified.
+    if (meta) {
+      view.model.set('meta', meta);
+    }
+
     // Append the view to the notebook.
     this.appendView(view, el);
 
@@ -48,10 +80,10 @@ var appendNewView = function (View) {
  * @return {Function}
  */
 var prependNewView = function (View) {
-  return function (el, value) {
+  return function (el, value, meta) {
     return appendNewView(View).call(this, function (viewEl) {
       el.parentNode.insertBefore(viewEl, el);
-    }, value);
+    }, value, meta);
   };
 };
 
@@ -79,6 +111,57 @@ Notebook.prototype.initialize = function () {
  * @return {Notebook}
  */
 Notebook.prototype.remove = function () {
+  this.stopSandbox();
+
+  return View.prototype.remove.call(this);
+};
+
+/**
+ * Create a new sandbox for executing cells, along with the middleware that
+ * provides the sandbox context and completion.
+ *
+ * @return {Notebook}
+ */
+Notebook.prototype.startSandbox = function () {
+  // The worker engine executes cells off the main thread, so runaway cells can
+  // be terminated. Browsers without support for it use the frame sandbox.
+  this.sandbox = config.get('executionEngine') === 'worker' &&
+    WorkerSandbox.isSupported() ? new WorkerSandbox() : new Sandbox();
+
+  // Register a middleware hook for augmenting the sandbox context.
+  this._middleware = {
+    'sandbox:context': _.bind(function (context, next) {
+      var active   = this.activeView;
+      var prevCode = active && this.collection.getPrevCode(active.model);
+
+      // Assign the previous cell value.
+      if (prevCode) {
+        context.$_ = prevCode.get('result');
+      }
+
+      // Assign numeric cell values.
+      _.each(this.collection.filter(function (model) {
+        return model.get('type') === 'code';
+      }), function (model, index) {
+        context['$' + index] = model.get('result');
+      });
+
+      return next();
+    }, this)
+  };
+
+  _.extend(this._middleware, completionMiddleware(this.sandbox.window));
+  middleware.register(this._middleware);
+
+  return this;
+};
+
+/**
+ * Remove the sandbox and its middleware.
+ *
+ * @return {Notebook}
+ */
+Notebook.prototype.stopSandbox = function () {
   // Remove lingering notebook views.
   if (this.sandbox) {
     this.sandbox.remove();
@@ -89,7 +172,41 @@ Notebook.prototype.remove = function () {
   middleware.deregister(this._middleware);
   delete this._middleware;
 
-  return View.prototype.remove.call(this);
+  return this;
+};
+
+/**
+ * Replace the sandbox with a fresh one, discarding every global created by
+ * executed cells. Results are cleared and running executions are discarded.
+ *
+ * @param {Boolean}  execute Execute every cell after restarting.
+ * @param {Function} done
+ */
+Notebook.prototype.restart = function (execute, done) {
+  this.stopSandbox().startSandbox();
+
+  // The completion options object is shared with every cell.
+  this.completionOptions.window = this.sandbox.window;
+
+  // Running notebook executions stop, since their results are discarded.
+  this._executing = false;
+  delete this._executingView;
+  this.data.unset('progress');
+
+  this.collection.each(function (model) {
+    if (model.get('type') === 'code' && model.view) {
+      model.view.reset();
+    }
+  });
+
+  this.updateCompletion();
+  this.updateStale();
+
+  if (execute) {
+    return this.execute(done);
+  }
+
+  return done && done();
 };
 
 /**
@@ -111,6 +228,82 @@ Notebook.prototype.updateCompletion = function () {
   return this;
 };
 
+/**
+ * Mark code cells with stale results. A result is stale when the cell, or any
+ * code cell above it, was edited or executed again after the cell executed.
+ * In reactive mode, only the cells defining globals read by the cell are taken
+ * into account.
+ *
+ * @return {Notebook}
+ */
+Notebook.prototype.updateStale = function () {
+  var reactive = !!config.get('reactive');
+  var versions = {};
+  var latest   = 0;
+
+  this.collection.each(function (model) {
+    var view = model.view;
+
+    if (model.get('type') !== 'code' || !view) {
+      return;
+    }
+
+    var count     = view.data.get('executionCount') || 0;
+    var variables = reactive && getVariables(view);
+
+    // Find the last change to the globals read by the cell.
+    if (reactive) {
+      latest = _.reduce(variables.reads, function (latest, name) {
+        return Math.max(latest, versions[name] || 0);
+      }, 0);
+    }
+
+    // Edits are recorded with the last execution count at the time, so an edit
+    // after this cell executed has a count greater than or equal to it.
+    latest = Math.max(latest, view.data.get('changedAt') + 1 || 0);
+
+    view.data.set('stale', !!count && latest > count);
+
+    latest = Math.max(latest, count);
+
+    if (reactive) {
+      _.each(variables.defines, function (name) {
+        versions[name] = Math.max(versions[name] || 0, latest);
+      });
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Get the code views below a view which read globals defined by the view, or
+ * by another dependent view.
+ *
+ * @param  {Backbone.View} current
+ * @return {Array}
+ */
+Notebook.prototype.getDependents = function (current) {
+  var views = this.getViews();
+  var names = getVariables(current).defines;
+
+  return _.filter(views.slice(_.indexOf(views, current) + 1), function (view) {
+    if (view.model.get('type') !== 'code') {
+      return false;
+    }
+
+    var variables = getVariables(view);
+
+    if (!_.intersection(variables.reads, names).length) {
+      return false;
+    }
+
+    names = _.union(names, variables.defines);
+
+    return true;
+  });
+};
+
 /**
  * Render the notebook view.
  *
@@ -120,7 +313,7 @@ Notebook.prototype.render = function () {
   View.prototype.render.call(this);
 
   // Create a new sandbox instance for every notebook view.
-  this.sandbox = new Sandbox();
+  this.startSandbox();
 
   // The completion options object is shared between all cells and used for
   // completion. Make sure we set this connection up before rendering any cells.
@@ -128,31 +321,6 @@ Notebook.prototype.render = function () {
     window: this.sandbox.window
   };
 
-  // Register a middleware hook for augmenting the sandbox context.
-  this._middleware = {
-    'sandbox:context': _.bind(function (context, next) {
-      var active   = this.activeView;
-      var prevCode = active && this.collection.getPrevCode(active.model);
-
-      // Assign the previous cell value.
-      if (prevCode) {
-        context.$_ = prevCode.get('result');
-      }
-
-      // Assign numeric cell values.
-      _.each(this.collection.filter(function (model) {
-        return model.get('type') === 'code';
-      }), function (model, index) {
-        context['$' + index] = model.get('result');
-      });
-
-      return next();
-    }, this)
-  };
-
-  _.extend(this._middleware, completionMiddleware(this.sandbox.window));
-  middleware.register(this._middleware);
-
   // Set a rendering flag while we are rendering the initial collection.
   this._rendering = true;
 
@@ -164,7 +332,7 @@ Notebook.prototype.render = function () {
       appendView = 'appendTextView';
     }
 
-    this[appendView](null, cell.value);
+    this[appendView](null, cell.value, cell.meta);
   }, this);
 
   // If no cells were appended, manually append a starting code view.
@@ -176,47 +344,143 @@ Notebook.prototype.render = function () {
   delete this._rendering;
 
   this.listenTo(this.collection, 'remove sort', this.updateCompletion);
+  this.listenTo(this.collection, 'remove sort', this.updateStale);
+  this.listenTo(config, 'change:reactive', this.updateStale);
 
   this.listenTo(this.collection, 'change remove sort', function () {
     this.model.set('cells', this.collection.toJSON());
   });
 
+  this.listenTo(this.model.get('meta'), 'change:saveOutputs', this.saveOutputs);
+
   this.updateCompletion();
 
   return this;
 };
 
 /**
- * Execute the entire notebook sequentially.
+ * Update the result snapshots of every executed code cell when saving outputs
+ * is toggled, or remove them when it's disabled.
+ *
+ * @return {Notebook}
+ */
+Notebook.prototype.saveOutputs = function () {
+  var enabled = !!this.model.get('meta').get('saveOutputs');
+
+  this.collection.each(function (model) {
+    if (model.get('type') !== 'code') { return; }
+
+    if (!enabled) {
+      return model.setMeta('output', undefined);
+    }
+
+    if (model.has('isError')) {
+      model.setMeta('output', snapshot(model.get('result'), model.get('isError')));
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Execute code cells sequentially, setting the execution `progress` on the view
+ * data. The execution stops when a cell is cancelled, or on the first error
+ * when the `stopOnError` config option is set, and the error is passed to
+ * `done`.
  *
+ * @param {Array}    views
  * @param {Function} done
  */
-Notebook.prototype.execute = function (done) {
+Notebook.prototype.executeViews = function (views, done) {
   if (this._executing) {
     return done && done(new Error('Already executing notebook'));
   }
 
-  var that = this;
+  var that        = this;
+  var stopOnError = config.get('stopOnError');
+
+  // Only execute code cells, skips other cell types.
+  var codeViews = _.filter(views, function (view) {
+    return view.model.get('type') === 'code';
+  });
+
+  var complete = function (err) {
+    that._executing = false;
+    delete that._executingView;
+    that.data.unset('progress');
+
+    return done && done(err);
+  };
+
   this._executing = true;
 
-  // This chaining is a little awkward, but it allows the execution to work with
-  // asynchronous callbacks.
-  (function execution (view) {
-    // If no view is passed through, we must have hit the last view.
+  (function execution (index) {
+    var view = codeViews[index];
+
+    // If no view is left, we must have hit the last view.
     if (!view) {
-      that._executing = false;
-      return done && done();
+      return complete(null);
     }
 
-    // Only execute code cells, skips other cell types.
-    if (view.model.get('type') === 'code') {
-      view.execute(function () {
-        execution(that.getNextView(view));
-      });
-    } else {
-      execution(that.getNextView(view));
-    }
-  })(this.collection.at(0).view);
+    that._executingView = view;
+    that.data.set('progress', { current: index + 1, total: codeViews.length });
+
+    view.execute(function (err, data) {
+      var result = data.result;
+
+      if (data.isError && (stopOnError || (result && result.cancelled))) {
+        return complete(result);
+      }
+
+      return execution(index + 1);
+    });
+  })(0);
+};
+
+/**
+ * Execute the entire notebook sequentially.
+ *
+ * @param {Function} done
+ */
+Notebook.prototype.execute = function (done) {
+  return this.executeViews(this.getViews(), done);
+};
+
+/**
+ * Execute every cell above a view.
+ *
+ * @param {Backbone.View} current
+ * @param {Function}      done
+ */
+Notebook.prototype.executeAbove = function (current, done) {
+  var views = this.getViews();
+
+  return this.executeViews(views.slice(0, _.indexOf(views, current)), done);
+};
+
+/**
+ * Execute a view and every cell below it.
+ *
+ * @param {Backbone.View} current
+ * @param {Function}      done
+ */
+Notebook.prototype.executeBelow = function (current, done) {
+  var views = this.getViews();
+
+  return this.executeViews(views.slice(_.indexOf(views, current)), done);
+};
+
+/**
+ * Stop the notebook execution, cancelling the executing cell.
+ *
+ * @return {Notebook}
+ */
+Notebook.prototype.stop = function () {
+  if (this._executingView) {
+    this._executingView.cancel();
+  }
+
+  return this;
 };
 
 /**
@@ -253,6 +517,17 @@ Notebook.prototype.executePrevious = function (current, done) {
   })(this.collection.at(0).view);
 };
 
+/**
+ * Returns every cell view in notebook order.
+ *
+ * @return {Array}
+ */
+Notebook.prototype.getViews = function () {
+  return this.collection.map(function (model) {
+    return model.view;
+  });
+};
+
 /**
  * Returns the next view in the notebook.
  *
@@ -359,11 +634,12 @@ Notebook.prototype.appendView = function (view, before) {
     // everything on the fly.
     this.listenTo(view, 'switch', function (view) {
       var newView;
+      var meta = view.model.get('meta');
 
       if (view instanceof TextView) {
-        newView = this.appendCodeView(view.el, view.getValue());
+        newView = this.appendCodeView(view.el, view.getValue(), meta);
       } else {
-        newView = this.appendTextView(view.el, view.getValue());
+        newView = this.appendTextView(view.el, view.getValue(), meta);
       }
 
       var cursor = view.editor && view.editor.getCursor();
@@ -423,13 +699,23 @@ Notebook.prototype.appendView = function (view, before) {
   if (view instanceof CodeView) {
     // Listen to execution events from the child views, which may or may not
     // require new working cells to be appended to the notebook.
-    this.listenTo(view, 'execute', function (view) {
+    this.listenTo(view, 'change', this.updateStale);
+
+    this.listenTo(view, 'execute', function (view, data) {
       // Refresh all completion data when a cell is executed.
       this.updateCompletion();
+      this.updateStale();
 
       // Need a flag here so we don't cause an infinite loop when executing the
       // notebook contents. (E.g. Hitting the last cell and adding a new cell).
-      if (this._executing || config.get('embedded')) { return; }
+      if (this._executing) { return; }
+
+      // Execute the cells depending on globals defined by the cell again.
+      if (config.get('reactive') === 'execute' && !data.isError) {
+        this.executeViews(this.getDependents(view));
+      }
+
+      if (config.get('embedded')) { return; }
 
       if (this.el.lastChild === view.el) {
         this.appendCodeView().focus();
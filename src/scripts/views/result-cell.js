@@ -1,9 +1,67 @@
 var _          = require('underscore');
+var domify     = require('domify');
 var View       = require('./template');
+var Inspector  = require('./inspector');
+var stringify  = require('../lib/stringify');
 var messages   = require('../state/messages');
 var template   = require('../../templates/views/result-cell.hbs');
 var middleware = require('../state/middleware');
 
+/**
+ * Render the data logged with `console.table` as a html table. Rows are the
+ * keys of the data and columns are the keys of each row.
+ *
+ * @param  {Object} data
+ * @return {String}
+ */
+var renderTable = function (data) {
+  var rows    = _.keys(data);
+  var columns = [];
+  var values  = false;
+
+  _.each(rows, function (row) {
+    if (_.isObject(data[row])) {
+      columns = _.union(columns, _.keys(data[row]));
+    } else {
+      values = true;
+    }
+  });
+
+  /**
+   * Render a table cell.
+   *
+   * @param  {String} tag
+   * @param  {*}      value
+   * @return {String}
+   */
+  var cell = function (tag, value) {
+    return '<' + tag + '>' + _.escape(value) + '</' + tag + '>';
+  };
+
+  return '<table class="result-log-table">' +
+    '<thead><tr>' + cell('th', '(index)') +
+    _.map(columns, _.partial(cell, 'th')).join('') +
+    (values ? cell('th', 'Values') : '') +
+    '</tr></thead>' +
+    '<tbody>' + _.map(rows, function (row) {
+      var value = data[row];
+
+      var cells = _.map(columns, function (column) {
+        var isSet = _.isObject(value) && _.has(value, column);
+
+        return isSet ? stringify.stringifyChild(value[column]) : '';
+      });
+
+      if (values) {
+        cells.push(_.isObject(value) ? '' : stringify.stringifyChild(value));
+      }
+
+      return '<tr>' + cell('td', row) +
+        _.map(cells, _.partial(cell, 'td')).join('') + '</tr>';
+    }).join('') + '</tbody>' +
+    '</table>';
+};
+
 /**
  * Return a new result cell instance.
  *
@@ -17,21 +75,114 @@ var ResultCell = module.exports = View.extend({
  * Automatically update the result body on change.
  */
 ResultCell.prototype.change = function () {
+  var notebookWindow = this.model.view ?
+    this.model.view.notebook.sandbox.window : window;
+
+  this.el.classList.remove('cell-result-stale');
+
+  this.renderResult(
+    this.model.get('result'), this.model.get('isError'), notebookWindow
+  );
+
+  return this.renderLogs(this.model.get('logs'), notebookWindow);
+};
+
+/**
+ * Render the console output of the execution above the result. Strings are
+ * rendered as text and every other logged value can be inspected.
+ *
+ * @param  {Array}      logs
+ * @param  {Object}     resultWindow
+ * @return {ResultCell}
+ */
+ResultCell.prototype.renderLogs = function (logs, resultWindow) {
+  var logsEl = this.el.querySelector('.result-logs');
+
+  _.each(logs, function (log) {
+    var logEl = document.createElement('div');
+
+    logEl.className = 'result-log result-log-' + log.level;
+
+    _.each(log.args, function (arg, index) {
+      if (log.level === 'table' && index === 0 && _.isObject(arg)) {
+        return logEl.appendChild(domify(renderTable(arg)));
+      }
+
+      if (_.isString(arg)) {
+        var textEl = document.createElement('span');
+
+        textEl.className   = 'result-log-text';
+        textEl.textContent = arg;
+
+        return logEl.appendChild(textEl);
+      }
+
+      var inspector = new Inspector({
+        window:  resultWindow,
+        inspect: arg
+      });
+
+      this._logViews.push(inspector.render().appendTo(logEl));
+    }, this);
+
+    logsEl.appendChild(logEl);
+  }, this);
+
+  messages.trigger('resize');
+
+  return this;
+};
+
+/**
+ * Render a result snapshot persisted with the notebook. Snapshots are marked as
+ * stale until the cell is executed again.
+ *
+ * @param  {Object}     snapshot
+ * @return {ResultCell}
+ */
+ResultCell.prototype.renderSnapshot = function (snapshot) {
+  this.el.classList.add('cell-result-stale');
+
+  if (_.has(snapshot, 'value')) {
+    return this.renderResult(snapshot.value, snapshot.isError, window);
+  }
+
   this.empty();
 
-  if (this.model.get('isError')) {
+  var textEl = document.createElement('pre');
+
+  textEl.className   = 'result-snapshot';
+  textEl.textContent = snapshot.text;
+
+  this.el.classList[snapshot.isError ? 'add' : 'remove']('result-error');
+  this.el.querySelector('.result-content').appendChild(textEl);
+  this.el.classList.remove('cell-result-pending');
+
+  return this;
+};
+
+/**
+ * Render a result using the `result:render` middleware.
+ *
+ * @param  {*}          inspect
+ * @param  {Boolean}    isError
+ * @param  {Object}     resultWindow
+ * @return {ResultCell}
+ */
+ResultCell.prototype.renderResult = function (inspect, isError, resultWindow) {
+  this.empty();
+
+  if (isError) {
     this.el.classList.add('result-error');
   }
 
-  var attachElement  = this.el.querySelector('.result-content');
-  var notebookWindow = this.model.view ?
-    this.model.view.notebook.sandbox.window : window;
+  var attachElement = this.el.querySelector('.result-content');
 
   middleware.trigger('result:render', {
     el:      attachElement,
-    window:  notebookWindow,
-    inspect: this.model.get('result'),
-    isError: this.model.get('isError')
+    window:  resultWindow,
+    inspect: inspect,
+    isError: isError
   }, _.bind(function (err, remove) {
     if (typeof remove === 'function') {
       this._remove = remove;
@@ -77,8 +228,28 @@ ResultCell.prototype.empty = function () {
     delete this._remove;
   }
 
+  // Remove the inspectors of logged values.
+  _.invoke(this._logViews, 'remove');
+  this._logViews = [];
+
   // Force the element to be cleared.
   this.el.querySelector('.result-content').innerHTML = '';
+  this.el.querySelector('.result-logs').innerHTML    = '';
+
+  return this;
+};
+
+/**
+ * Empty the result cell and display it as pending a result again.
+ *
+ * @return {ResultCell}
+ */
+ResultCell.prototype.reset = function () {
+  this.empty();
+
+  this.el.classList.add('cell-result-pending');
+  this.el.classList.remove('cell-result-stale');
+  this.el.classList.remove('result-error');
 
   return this;
 };
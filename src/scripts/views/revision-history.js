@@ -0,0 +1,149 @@
+var _           = require('underscore');
+var async       = require('async');
+var View        = require('./view');
+var markdown    = require('../lib/markdown');
+var Notebook    = require('../models/notebook');
+var persistence = require('../state/persistence');
+
+/**
+ * Loading indicator markup.
+ *
+ * @type {String}
+ */
+var LOADING_HTML = '<div class="text-center">' +
+  '<i class="icon-arrows-cw animate-spin"></i>' +
+  '</div>';
+
+/**
+ * Render a single cell to static HTML.
+ *
+ * @param {Object}   cell
+ * @param {Function} done
+ */
+var renderCell = function (cell, done) {
+  if (cell.type === 'text') {
+    return markdown.render(cell.value, function (err, html) {
+      return done(err, '<div class="markdown">' + html + '</div>');
+    });
+  }
+
+  return done(null, '<pre class="revision-code"><code>' +
+    markdown.highlight(cell.value, 'javascript') + '</code></pre>');
+};
+
+/**
+ * Lists the revisions of a notebook and previews them.
+ *
+ * @type {Function}
+ */
+var RevisionHistory = module.exports = View.extend({
+  className: 'revision-history',
+  events: {
+    'click [data-revision]': function (e, target) {
+      return this.preview(target.getAttribute('data-revision'));
+    },
+    'click .revision-restore': 'restore'
+  }
+});
+
+/**
+ * Render the list of revisions.
+ *
+ * @return {RevisionHistory}
+ */
+RevisionHistory.prototype.render = function () {
+  View.prototype.render.call(this);
+
+  this.el.innerHTML = LOADING_HTML;
+
+  persistence.history(this.model, _.bind(function (err, revisions) {
+    if (err) {
+      this.el.innerHTML = '<p>Could not load the notebook history.</p>';
+      return;
+    }
+
+    if (!revisions.length) {
+      this.el.innerHTML = '<p>No previous revisions are available.</p>';
+      return;
+    }
+
+    this.current = revisions[0].id;
+
+    this.el.innerHTML = '<ul class="items-list revision-list">' +
+      _.map(revisions, function (revision) {
+        return '<li data-revision="' + _.escape(revision.id) + '">' +
+          '<div class="item-name">' +
+          revision.updatedAt.toLocaleTimeString() + ' ' +
+          revision.updatedAt.toLocaleDateString() +
+          (revision.userTitle ?
+            ' <small>by ' + _.escape(revision.userTitle) + '</small>' : '') +
+          (revision.id === this.current ? ' <small>(current)</small>' : '') +
+          '</div>' +
+          '</li>';
+      }, this).join('') +
+      '</ul>' +
+      '<div class="revision-preview"></div>';
+  }, this));
+
+  return this;
+};
+
+/**
+ * Preview the rendered cells of a single revision.
+ *
+ * @param {String} id
+ */
+RevisionHistory.prototype.preview = function (id) {
+  var previewEl = this.el.querySelector('.revision-preview');
+
+  this.selected = id;
+  delete this.content;
+
+  _.each(this.el.querySelectorAll('[data-revision]'), function (el) {
+    var isSelected = el.getAttribute('data-revision') === id;
+
+    el.classList[isSelected ? 'add' : 'remove']('item-active');
+  });
+
+  previewEl.innerHTML = LOADING_HTML;
+
+  persistence.loadRevision(this.model, id, _.bind(function (err, content) {
+    // Ignore stale responses after selecting a different revision.
+    if (this.selected !== id) { return; }
+
+    if (err) {
+      previewEl.innerHTML = '<p>Could not load this revision.</p>';
+      return;
+    }
+
+    var model = new Notebook({ content: content });
+
+    persistence.deserialize(model, _.bind(function () {
+      async.map(model.get('cells'), renderCell, _.bind(function (err, html) {
+        if (this.selected !== id) { return; }
+
+        var canRestore = id !== this.current && persistence.isOwner(this.model);
+
+        this.content = content;
+
+        previewEl.innerHTML = (canRestore ?
+          '<div class="btn-list text-center">' +
+          '<button class="btn btn-primary revision-restore">' +
+          'Restore this version</button>' +
+          '</div>' : '') +
+          '<div class="revision-cells">' + html.join('\n') + '</div>';
+      }, this));
+    }, this));
+  }, this));
+};
+
+/**
+ * Restore the currently previewed revision as the notebook content.
+ */
+RevisionHistory.prototype.restore = function () {
+  if (!_.isString(this.content)) { return; }
+
+  persistence.restore(this.content, _.bind(function (err) {
+    this.trigger('restore', this, err);
+  }, this));
+};
@@ -5,6 +5,7 @@ var config      = require('../state/config');
 var middleware  = require('../state/middleware');
 var persistence = require('../state/persistence');
 var notifyError = require('../lib/notify-error');
+var getTags     = require('../lib/notebook-list').getTags;
 
 /**
  * Create a new sidebar view class.
@@ -21,11 +22,33 @@ var SidebarView = module.exports = View.extend({
 SidebarView.prototype.initialize = function () {
   View.prototype.initialize.apply(this, arguments);
 
+  this.data.set({
+    query:        '',
+    sort:         'updatedAt',
+    selectedTags: []
+  });
+
+  // Debounce searches for every sidebar separately.
+  this.search = _.debounce(this.search, 300);
+
+  /**
+   * Keep the available tags in sync with the listed notebooks.
+   */
+  var updateTags = bounce(this.updateTags, this);
+
+  this.listenTo(persistence.get('items'), 'add remove reset change', updateTags);
+  this.listenTo(
+    this.data, 'change:query change:selectedTags change:next', updateTags
+  );
+
   /**
    * Check whether the current notebook has been saved.
    */
   this.listenTo(persistence, 'change:state', bounce(function () {
-    this.data.set('saved', persistence.isCurrentSaved());
+    var state = persistence.get('state');
+
+    this.data.set('saved',    persistence.isCurrentSaved());
+    this.data.set('conflict', state === persistence.SAVE_CONFLICT);
   }, this));
 };
 
@@ -75,6 +98,26 @@ SidebarView.prototype.events = {
   'click .persistence-unauthenticate': 'unauthenticate',
   'click .sidebar-authenticate': function (e) {
     e.preventDefault();
+  },
+  'input .sidebar-search-query': 'search',
+  'change .sidebar-search-sort': function (e, target) {
+    this.data.set('sort', target.value);
+
+    return this.updateList();
+  },
+  'click [data-tag]': function (e, target) {
+    var tag  = target.getAttribute('data-tag');
+    var tags = this.data.get('selectedTags');
+
+    this.data.set('selectedTags', _.contains(tags, tag) ?
+      _.without(tags, tag) : tags.concat(tag));
+
+    return this.updateList();
+  },
+  'click .sidebar-more': function (e) {
+    e.preventDefault();
+
+    return this.loadMore();
   }
 };
 
@@ -85,19 +128,94 @@ SidebarView.prototype.events = {
  */
 SidebarView.prototype.template = require('../../templates/views/sidebar.hbs');
 
+/**
+ * Get the options used to list notebooks from the current search.
+ *
+ * @return {Object}
+ */
+SidebarView.prototype.listOptions = function () {
+  return {
+    query: this.data.get('query'),
+    tags:  this.data.get('selectedTags'),
+    sort:  this.data.get('sort')
+  };
+};
+
+/**
+ * Search the notebooks list as the query is typed.
+ *
+ * @param {Event} e
+ * @param {Node}  target
+ */
+SidebarView.prototype.search = function (e, target) {
+  this.data.set('query', target.value);
+
+  return this.updateList();
+};
+
 /**
  * Reload the persistent notebooks list.
  */
 SidebarView.prototype.updateList = function () {
   this.data.set('updating', true);
 
-  persistence.list(_.bind(function (err, list) {
+  persistence.list(this.listOptions(), _.bind(function (err, list) {
     this.data.set('updating', false);
 
-    return this.data.set('list', list);
+    // Clear the list when listing fails, E.g. after signing out.
+    this.data.set('next', list ? list.next : null);
+
+    return this.data.set('list', list ? list.items : null);
   }, this));
 };
 
+/**
+ * Load the next page of notebooks into the list.
+ */
+SidebarView.prototype.loadMore = function () {
+  var options = _.extend(this.listOptions(), { page: this.data.get('next') });
+
+  if (!options.page || this.data.get('loading')) { return; }
+
+  this.data.set('loading', true);
+
+  persistence.list(options, _.bind(function (err, list) {
+    this.data.set('loading', false);
+
+    if (err) {
+      return notifyError('Could not load more notebooks')(err);
+    }
+
+    this.data.set('next', list.next);
+
+    return this.data.set('list', list.items);
+  }, this));
+};
+
+/**
+ * Update the tags available for filtering from the listed notebooks, keeping
+ * any selected tags visible.
+ */
+SidebarView.prototype.updateTags = function () {
+  var selected = this.data.get('selectedTags');
+  var id       = persistence.get('notebook').get('id');
+  var items    = persistence.get('items').filter(function (item) {
+    return item.id !== id;
+  });
+
+  var tags = _.uniq(_.flatten(selected.concat(_.map(items, function (item) {
+    return getTags(item.get('meta'));
+  })))).sort();
+
+  // More pages may still match when the backend couldn't search them.
+  this.data.set('empty', !items.length && !this.data.get('next') &&
+    !!(this.data.get('query') || selected.length));
+
+  return this.data.set('tags', _.map(tags, function (tag) {
+    return { name: tag, selected: _.contains(selected, tag) };
+  }));
+};
+
 /**
  * Add some sidebar helpers.
  *
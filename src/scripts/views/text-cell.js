@@ -1,15 +1,11 @@
 var _            = require('underscore');
-var marked       = require('marked');
 var domify       = require('domify');
-var highlight    = require('highlight.js');
 var EditorCell   = require('./editor-cell');
+var markdown     = require('../lib/markdown');
 var config       = require('../state/config');
 var messages     = require('../state/messages');
 var embedProtect = require('./lib/embed-protect');
 
-// Remove the html class prefix output.
-highlight.configure({ classPrefix: '' });
-
 /**
  * Create a new text cell instance.
  *
@@ -143,27 +139,7 @@ TextCell.prototype.renderEditor = function () {
 
   this.el.querySelector('.cell-content').appendChild(this.markdownElement);
 
-  marked(this.getValue(), {
-    gfm: true,
-    highlight: function (code, lang) {
-      try {
-        if (highlight.getLanguage(lang)) {
-          return highlight.highlight(lang, code).value;
-        }
-
-        return highlight.highlightAuto(code).value;
-      } catch (e) {
-        return code;
-      }
-    },
-    tables: true,
-    breaks: true,
-    pedantic: false,
-    sanitize: false,
-    smartLists: true,
-    smartypants: false,
-    langPrefix: 'lang-'
-  }, _.bind(function (err, html) {
+  markdown.render(this.getValue(), _.bind(function (err, html) {
     this.markdownElement.innerHTML = html;
   }, this));
 
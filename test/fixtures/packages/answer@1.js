@@ -0,0 +1,9 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.answer = factory();
+  }
+})(this, function () {
+  return { value: 42 };
+});
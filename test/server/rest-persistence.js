@@ -0,0 +1,111 @@
+/* global describe, it, before, after */
+var fs      = require('fs');
+var os      = require('os');
+var path    = require('path');
+var http    = require('http');
+var request = require('request');
+var expect  = require('chai').expect;
+
+var createHandler = require('../../server/rest-persistence').createHandler;
+
+describe('REST Persistence Server', function () {
+  var dir = path.join(os.tmpdir(), 'notebook-server-' + Date.now());
+  var server, baseUrl;
+
+  /**
+   * Make a JSON request to the test server.
+   *
+   * @param {String}   method
+   * @param {String}   pathname
+   * @param {*}        body
+   * @param {Function} done
+   */
+  var send = function (method, pathname, body, done) {
+    return request({
+      url:    baseUrl + pathname,
+      method: method,
+      body:   body === undefined ? undefined : JSON.stringify(body),
+      json:   true
+    }, done);
+  };
+
+  before(function (done) {
+    server = http.createServer(createHandler({
+      dir:       dir,
+      userId:    'test',
+      userTitle: 'Test User'
+    }));
+
+    server.listen(0, function () {
+      baseUrl = 'http://localhost:' + server.address().port;
+      return done();
+    });
+  });
+
+  after(function (done) {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name));
+    });
+
+    fs.rmdirSync(dir);
+    server.close(done);
+  });
+
+  it('should reject saves over changes made elsewhere', function (done) {
+    send('POST', '/notebooks', { content: '# Test' }, function (err, res, notebook) {
+      if (err) { return done(err); }
+
+      expect(res.statusCode).to.equal(201);
+
+      send('PUT', '/notebooks/' + notebook.id, {
+        content:   '# Stale',
+        updatedAt: notebook.updatedAt - 1000
+      }, function (err, res) {
+        expect(res.statusCode).to.equal(409);
+        return done(err);
+      });
+    });
+  });
+
+  it('should accept dates when checking for conflicts', function (done) {
+    send('POST', '/notebooks', { content: '# Test' }, function (err, res, notebook) {
+      if (err) { return done(err); }
+
+      send('PUT', '/notebooks/' + notebook.id, {
+        content:   '# Updated',
+        updatedAt: new Date(notebook.updatedAt).toISOString()
+      }, function (err, res, updated) {
+        expect(res.statusCode).to.equal(200);
+        expect(updated.content).to.equal('# Updated');
+        return done(err);
+      });
+    });
+  });
+
+  it('should reject notebooks that are not objects', function (done) {
+    send('POST', '/notebooks', ['# Test'], function (err, res) {
+      if (err) { return done(err); }
+
+      expect(res.statusCode).to.equal(400);
+
+      send('POST', '/notebooks', '# Test', function (err, res) {
+        expect(res.statusCode).to.equal(400);
+        return done(err);
+      });
+    });
+  });
+
+  it('should not read files outside the data directory', function (done) {
+    send('GET', '/notebooks/..%2Frest-persistence', undefined, function (err, res) {
+      if (err) { return done(err); }
+
+      expect(res.statusCode).to.equal(404);
+
+      send('PUT', '/notebooks/../../secret', { content: '' }, function (err, res) {
+        expect(res.statusCode).to.equal(404);
+        expect(fs.existsSync(path.join(dir, '..', 'secret.json'))).to.be.false;
+        return done(err);
+      });
+    });
+  });
+});
@@ -181,6 +181,400 @@ describe('Persistence', function () {
       expect(cells[1].value).to.equal('# Testing here');
     });
 
+    it('should round-trip structured meta data', function () {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set(
+        'content',
+        '---\n' +
+        'title: \'Meta: Data\'\n' +
+        'tags:\n  - api\n  - example\n' +
+        'settings:\n  autorun: true\n' +
+        'description: |-\n  First line\n  Second line\n' +
+        '---\n\n# Heading'
+      );
+
+      var meta = notebook.get('meta');
+
+      expect(meta.get('title')).to.equal('Meta: Data');
+      expect(meta.get('tags')).to.deep.equal(['api', 'example']);
+      expect(meta.get('settings')).to.deep.equal({ autorun: true });
+      expect(meta.get('description')).to.equal('First line\nSecond line');
+
+      expect(notebook.get('content')).to.contain('title: \'Meta: Data\'');
+      expect(notebook.get('content')).to.contain('tags:\n  - api\n  - example');
+    });
+
+    it('should round-trip cell meta data', function () {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('cells', [{
+        type:  'text',
+        value: '# Heading',
+        meta:  { id: 'intro', tags: ['docs'] }
+      }, {
+        type:  'code',
+        value: 'var test = true;',
+        meta:  { id: 'test', timeout: 5000 }
+      }]);
+
+      var content = notebook.get('content');
+
+      expect(content).to.contain('<!-- cell {"id":"intro","tags":["docs"]} -->\n# Heading');
+      expect(content).to.contain('```javascript {"id":"test","timeout":5000}\nvar test = true;');
+
+      notebook.set('content', content + '\n');
+
+      var cells = notebook.get('cells');
+
+      expect(cells[0].value).to.equal('# Heading');
+      expect(cells[0].meta).to.deep.equal({ id: 'intro', tags: ['docs'] });
+      expect(cells[1].value).to.equal('var test = true;');
+      expect(cells[1].meta).to.deep.equal({ id: 'test', timeout: 5000 });
+    });
+
+    it('should deserialize legacy meta data containing colons', function () {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('content', '---\ntitle: Legacy: Title\n---\n\n# Heading');
+
+      expect(notebook.get('meta').get('title')).to.equal('Legacy: Title');
+    });
+
+    it('should keep legacy meta data values as strings', function () {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set(
+        'content',
+        '---\n' +
+        'title: API #2 example\n' +
+        'created: 2014-01-01\n' +
+        'version: 3.0\n' +
+        'tags:\n  - api\n' +
+        '---\n\n# Heading'
+      );
+
+      var meta = notebook.get('meta');
+
+      expect(meta.get('title')).to.equal('API #2 example');
+      expect(meta.get('created')).to.equal('2014-01-01');
+      expect(meta.get('version')).to.equal('3.0');
+      expect(meta.get('tags')).to.deep.equal(['api']);
+    });
+
+    it('should round-trip typed meta data values', function () {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.get('meta').set({ count: 3, public: true, label: '3' });
+
+      var content = notebook.get('content');
+
+      expect(content).to.contain('count: 3');
+      expect(content).to.contain('public: true');
+      expect(content).to.contain('label: \'3\'');
+
+      notebook.get('meta').reset({});
+      notebook.set('content', content);
+
+      var meta = notebook.get('meta');
+
+      expect(meta.get('count')).to.equal(3);
+      expect(meta.get('public')).to.be.true;
+      expect(meta.get('label')).to.equal('3');
+    });
+
+    it('should restore previous content and save it', function (done) {
+      var saved = false;
+
+      App.middleware.register('persistence:save', function saveNotebook (data, next, done) {
+        saved = true;
+        data.id = 'restored';
+        App.middleware.deregister('persistence:save', saveNotebook);
+        return done();
+      });
+
+      App.persistence.restore('# Restored', function (err) {
+        var notebook = App.persistence.get('notebook');
+
+        expect(saved).to.be.true;
+        expect(notebook.get('id')).to.equal('restored');
+        expect(notebook.get('cells')[0].value).to.equal('# Restored');
+        return done(err);
+      });
+    });
+
+    it('should import a Jupyter notebook', function (done) {
+      var content = JSON.stringify({
+        cells: [{
+          cell_type: 'markdown',
+          metadata:  {},
+          source:    ['# Jupyter\n', 'Imported']
+        }, {
+          cell_type:       'code',
+          execution_count: 1,
+          metadata:        {},
+          outputs:         [],
+          source:          ['var test = true;']
+        }],
+        metadata: { title: 'Jupyter Notebook' },
+        nbformat: 4,
+        nbformat_minor: 0
+      });
+
+      App.persistence.importNotebook(content, 'ipynb', function (err) {
+        var notebook = App.persistence.get('notebook');
+        var cells    = notebook.get('cells');
+
+        expect(notebook.get('meta').get('title')).to.equal('Jupyter Notebook');
+        expect(cells[0].type).to.equal('text');
+        expect(cells[0].value).to.equal('# Jupyter\nImported');
+        expect(cells[1].type).to.equal('code');
+        expect(cells[1].value).to.equal('var test = true;');
+        expect(App.persistence.isCurrentSaved()).to.be.false;
+        return done(err);
+      });
+    });
+
+    it('should export a Jupyter notebook', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.get('meta').set('title', 'Export Test');
+      notebook.set('cells', [{
+        type:  'text',
+        value: '# Export'
+      }, {
+        type:  'code',
+        value: 'var a = 1;\nvar b = 2;'
+      }]);
+
+      App.persistence.exportNotebook(notebook, 'ipynb', function (err, file) {
+        var json = JSON.parse(file.content);
+
+        expect(file.name).to.equal('export-test.ipynb');
+        expect(json.nbformat).to.equal(4);
+        expect(json.metadata.title).to.equal('Export Test');
+        expect(json.cells[0].cell_type).to.equal('markdown');
+        expect(json.cells[1].cell_type).to.equal('code');
+        expect(json.cells[1].source).to.deep.equal(['var a = 1;\n', 'var b = 2;']);
+        return done(err);
+      });
+    });
+
+    it('should export a standalone HTML document', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.get('meta').set('title', 'Export Test');
+      notebook.set('cells', [{
+        type:  'text',
+        value: '# Export'
+      }, {
+        type:    'code',
+        value:   'var a = 1;',
+        result:  'test result',
+        isError: false
+      }, {
+        type:  'code',
+        value: 'b',
+        meta:  { output: { text: 'saved <result>' } }
+      }]);
+
+      App.persistence.exportNotebook(notebook, 'html', function (err, file) {
+        expect(file.name).to.equal('export-test.html');
+        expect(file.type).to.equal('text/html');
+        expect(file.content).to.contain('<title>Export Test</title>');
+        expect(file.content).to.match(/<h1[^>]*>Export<\/h1>/);
+        expect(file.content).to.contain('<span class="keyword">var</span>');
+        expect(file.content).to.contain('test result');
+        expect(file.content).to.contain('cell-result-stale');
+        expect(file.content).to.contain('saved &lt;result&gt;');
+        return done(err);
+      });
+    });
+
+    it('should open a notebook from a url', function (done) {
+      var server = sinon.fakeServer.create();
+
+      server.respondWith('GET', 'http://example.com/example.md', [
+        200,
+        { 'Content-Type': 'text/markdown' },
+        '---\ntitle: Remote Notebook\n---\n\n```javascript\nvar remote = true;\n```'
+      ]);
+
+      App.persistence.loadUrl('http://example.com/example.md', function (err) {
+        var notebook = App.persistence.get('notebook');
+
+        server.restore();
+
+        expect(notebook.get('id')).to.not.exist;
+        expect(notebook.get('meta').get('title')).to.equal('Remote Notebook');
+        expect(notebook.get('cells')[0].value).to.equal('var remote = true;');
+        expect(App.persistence.isCurrentSaved()).to.be.false;
+        return done(err);
+      });
+
+      server.respond();
+    });
+
+    it('should list a blank notebook template', function (done) {
+      App.persistence.templates(function (err, templates) {
+        expect(templates[0].title).to.equal('Blank Notebook');
+        expect(templates[0].content).to.equal(App.config.get('defaultContent'));
+        return done(err);
+      });
+    });
+
+    it('should list templates when the templates index fails to load', function (done) {
+      var server = sinon.fakeServer.create();
+      var notify = sinon.spy(function (data, next, done) {
+        return done();
+      });
+
+      server.respondWith('GET', 'http://example.com/templates.json', [
+        404,
+        { 'Content-Type': 'text/plain' },
+        'Not Found'
+      ]);
+
+      App.config.set('templatesUrl', 'http://example.com/templates.json');
+      App.middleware.register('ui:notify', notify);
+
+      App.persistence.templates(function (err, templates) {
+        server.restore();
+        App.config.unset('templatesUrl');
+        App.middleware.deregister('ui:notify', notify);
+
+        expect(err).to.not.exist;
+        expect(notify).to.have.been.calledOnce;
+        expect(templates[0].title).to.equal('Blank Notebook');
+        return done();
+      });
+
+      server.respond();
+    });
+
+    it('should ignore template apis that are not an object', function (done) {
+      App.persistence.newFromTemplate({
+        title:   'Example',
+        content: '---\ntitle: Template Notebook\napis:\n  - ' +
+          'http://example.com/api.raml\n---\n\n```javascript\nvar a = 1;\n```'
+      }, function (err) {
+        var cells = App.persistence.get('notebook').get('cells');
+
+        expect(cells.length).to.equal(1);
+        expect(cells[0].value).to.equal('var a = 1;');
+        return done(err);
+      });
+    });
+
+    it('should create a notebook from a template', function (done) {
+      App.persistence.newFromTemplate({
+        title:   'Example',
+        content: '---\ntitle: Template Notebook\napis:\n  example: ' +
+          'http://example.com/api.raml\n---\n\n```javascript\nvar a = 1;\n```'
+      }, function (err) {
+        var notebook = App.persistence.get('notebook');
+        var cells    = notebook.get('cells');
+
+        expect(notebook.get('id')).to.not.exist;
+        expect(notebook.get('meta').get('title')).to.equal('Template Notebook');
+        expect(notebook.get('meta').has('apis')).to.be.false;
+        expect(cells[0].value).to.equal(
+          'API.createClient("example", "http://example.com/api.raml");'
+        );
+        expect(cells[1].value).to.equal('var a = 1;');
+        return done(err);
+      });
+    });
+
+    it('should export a Node.js script', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.get('meta').set('title', 'Export Test');
+      notebook.set('cells', [{
+        type:  'text',
+        value: '# Export'
+      }, {
+        type:  'code',
+        value: 'var a = 1;\nfunction test () {}'
+      }, {
+        type:  'code',
+        value: 'API.createClient(\'example\', \'http://example.com/api.raml\');'
+      }]);
+
+      App.persistence.exportNotebook(notebook, 'node', function (err, file) {
+        expect(file.name).to.equal('export-test.js');
+        expect(file.content).to.contain('// # Export');
+        expect(file.content).to.contain('var a, test;');
+        expect(file.content).to.contain('    a = 1;\n    test = function test () {}');
+        expect(file.content).to.contain('var API     = notebook.API;');
+        expect(file.content).to.contain('notebook.run([');
+        return done(err);
+      });
+    });
+
+    it('should export awaiting cells without changing template literals', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('cells', [{
+        type:  'code',
+        value: 'var answer = await Promise.resolve(42);\nvar text = `a\n  b`;'
+      }]);
+
+      App.persistence.exportNotebook(notebook, 'node', function (err, file) {
+        expect(file.content).to.contain('var answer, text;');
+        expect(file.content).to.contain(
+          '  async function () {\n' +
+          '    answer = await Promise.resolve(42);\n' +
+          '    text = `a\n  b`;\n' +
+          '  },'
+        );
+        return done(err);
+      });
+    });
+
+    it('should keep a local draft of unsaved changes', function () {
+      var clock    = sinon.useFakeTimers();
+      var notebook = App.persistence.get('notebook');
+      var drafts;
+
+      notebook.set('content', '# Unsaved Draft');
+      clock.tick(1000);
+      clock.restore();
+
+      // Custom stores read from local storage when they are created.
+      drafts = App.store.customStore('drafts');
+
+      expect(drafts.get('new').content).to.contain('# Unsaved Draft');
+      expect(drafts.get('new').updatedAt).to.be.a('number');
+
+      drafts.unset('new');
+    });
+
+    it('should keep the new notebook draft when saving another notebook', function (done) {
+      var clock    = sinon.useFakeTimers();
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('content', '# New Draft');
+      clock.tick(1000);
+      clock.restore();
+
+      notebook.set('id', 'existing', { silent: true });
+
+      App.middleware.register('persistence:save', function saveNotebook (data, next, done) {
+        App.middleware.deregister('persistence:save', saveNotebook);
+        return done();
+      });
+
+      App.persistence.save(notebook, function (err) {
+        var drafts = App.store.customStore('drafts');
+
+        expect(drafts.get('new').content).to.contain('# New Draft');
+
+        drafts.unset('new');
+        return done(err);
+      });
+    });
+
     it('should render a new notebook with a single code cell', function (done) {
       var spy = sinon.spy(App.View.Notebook.prototype, 'appendCodeView');
 
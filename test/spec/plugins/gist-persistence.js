@@ -144,4 +144,274 @@ describe('Gist Persistence Plugin', function () {
 
     server.respond();
   });
+
+  it('should load gist files as attachments', function (done) {
+    var notebook = App.persistence.get('notebook');
+    var response = JSON.parse(gistResponse);
+
+    response.files['fixture.json'] = {
+      filename: 'fixture.json',
+      type:     'application/json',
+      content:  '{"test":true}'
+    };
+
+    notebook.set('id', id, { silent: true });
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        JSON.stringify(response)
+      ]
+    );
+
+    App.persistence.load(notebook, function (err) {
+      expect(notebook.getAttachment('fixture.json').content)
+        .to.equal('{"test":true}');
+      expect(App.persistence.isSaved(notebook)).to.be.true;
+
+      return done(err);
+    });
+
+    server.respond();
+  });
+
+  it('should save attachments as gist files', function (done) {
+    var notebook = App.persistence.get('notebook');
+    var response = JSON.parse(gistResponse);
+
+    response.files['fixture.json'] = {
+      filename: 'fixture.json',
+      type:     'application/json',
+      content:  '{"test":true}'
+    };
+
+    server.autoRespond = true;
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        JSON.stringify(response)
+      ]
+    );
+
+    server.respondWith(
+      'PATCH',
+      new RegExp('^https://api.github.com/gists/' + id),
+      function (xhr) {
+        var files = JSON.parse(xhr.requestBody).files;
+
+        expect(files['fixture.json']).to.be.null;
+        expect(files['data.txt'].content).to.equal('data');
+        expect(files['notebook.md'].content).to.contain('var test = true;');
+
+        return xhr.respond(200, {
+          'Content-Type': 'application/json'
+        }, gistResponse);
+      }
+    );
+
+    notebook.removeAttachment('fixture.json');
+    notebook.setAttachment({
+      name:    'data.txt',
+      type:    'text/plain',
+      content: 'data'
+    });
+
+    expect(App.persistence.isSaved(notebook)).to.be.false;
+
+    App.persistence.save(notebook, function (err) {
+      server.autoRespond = false;
+
+      expect(App.persistence.isSaved(notebook)).to.be.true;
+
+      return done(err);
+    });
+  });
+
+  it('should check unchanged gists with a conditional request', function (done) {
+    var notebook = App.persistence.get('notebook');
+    var etag     = '"b4cb1e6df83d8e6c10545f2e3b7bd8b5"';
+    var requests = [];
+
+    notebook.set('id', id, { silent: true });
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id),
+      function (xhr) {
+        requests.push(xhr.requestHeaders['If-None-Match']);
+
+        if (xhr.requestHeaders['If-None-Match'] === etag) {
+          return xhr.respond(304, {}, '');
+        }
+
+        return xhr.respond(200, {
+          'Content-Type': 'application/json',
+          'ETag':         etag
+        }, gistResponse);
+      }
+    );
+
+    server.respondWith(
+      'PATCH',
+      new RegExp('^https://api.github.com/gists/' + id),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        gistResponse
+      ]
+    );
+
+    server.autoRespond = true;
+
+    App.persistence.load(notebook, function (err) {
+      if (err) { return done(err); }
+
+      notebook.set('content', content + '\n\nConditional');
+
+      App.persistence.save(notebook, function (err) {
+        server.autoRespond = false;
+
+        expect(requests).to.deep.equal([undefined, etag]);
+        expect(App.persistence.isSaved(notebook)).to.be.true;
+
+        return done(err);
+      });
+    });
+  });
+
+  it('should detect conflicting saves', function (done) {
+    var notebook = App.persistence.get('notebook');
+    var response = JSON.parse(gistResponse);
+    var patched  = false;
+
+    // Pretend the gist was saved again from somewhere else.
+    response.history.unshift({
+      version:      'a6bd52a1b3a3c3f56e5c8f2e5f0e1d43c7b0a1f2',
+      committed_at: '2013-08-20T08:41:33Z'
+    });
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        JSON.stringify(response)
+      ]
+    );
+
+    server.respondWith(
+      'PATCH',
+      new RegExp('^https://api.github.com/gists/' + id),
+      function (xhr) {
+        patched = true;
+
+        return xhr.respond(200, {
+          'Content-Type': 'application/json'
+        }, JSON.stringify(response));
+      }
+    );
+
+    server.autoRespond = true;
+
+    notebook.set('content', content + '\n\nConflict');
+
+    App.persistence.save(notebook, function (err) {
+      server.autoRespond = false;
+
+      expect(err.conflict).to.be.true;
+      expect(patched).to.be.false;
+      expect(App.persistence.get('state'))
+        .to.equal(App.persistence.SAVE_CONFLICT);
+
+      return done();
+    });
+  });
+
+  it('should skip the conflict check when forced', function (done) {
+    var notebook = App.persistence.get('notebook');
+
+    server.autoRespond = true;
+
+    App.persistence.save(notebook, { force: true }, function (err) {
+      server.autoRespond = false;
+
+      expect(notebook.get('revision'))
+        .to.equal('a6bd52a1b3a3c3f56e5c8f2e5f0e1d43c7b0a1f2');
+      expect(App.persistence.isSaved(notebook)).to.be.true;
+
+      return done(err);
+    });
+  });
+
+  it('should list the gist revisions', function (done) {
+    var notebook = App.persistence.get('notebook');
+
+    notebook.set('id', id, { silent: true });
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        gistResponse
+      ]
+    );
+
+    App.persistence.history(notebook, function (err, revisions) {
+      expect(revisions.length).to.equal(1);
+      expect(revisions[0].id).to.equal('0b37963ae40526cdde5a99a34747ed0a1f08f0c7');
+      expect(revisions[0].userTitle).to.equal('blakeembrey');
+      expect(revisions[0].updatedAt).to.be.an.instanceof(Date);
+
+      return done(err);
+    });
+
+    server.respond();
+  });
+
+  it('should load a gist revision', function (done) {
+    var notebook = App.persistence.get('notebook');
+    var revision = '0b37963ae40526cdde5a99a34747ed0a1f08f0c7';
+
+    notebook.set('id', id, { silent: true });
+
+    server.respondWith(
+      'GET',
+      new RegExp('^https://api.github.com/gists/' + id + '/' + revision),
+      [
+        200,
+        {
+          'Content-Type': 'application/json'
+        },
+        gistResponse
+      ]
+    );
+
+    App.persistence.loadRevision(notebook, revision, function (err, revisionContent) {
+      expect(revisionContent).to.equal(content);
+
+      return done(err);
+    });
+
+    server.respond();
+  });
 });
@@ -0,0 +1,150 @@
+/* global describe, it, before, after */
+
+describe('Local Persistence Plugin', function () {
+  var content = '---\ntitle: Local Notebook\n---\n\n```javascript\nvar test = true;\n```';
+
+  before(function (done) {
+    App.middleware.register(localPersistencePlugin);
+    App.persistence.new(done);
+  });
+
+  after(function () {
+    App.middleware.deregister(localPersistencePlugin);
+    App.persistence.unset('userId');
+    App.persistence.unset('userTitle');
+  });
+
+  it('should authenticate with browser storage', function (done) {
+    App.persistence.authenticate(function (err) {
+      expect(err).to.not.exist;
+      expect(App.persistence.get('userId')).to.equal('local');
+      return done();
+    });
+  });
+
+  describe('Stored notebooks', function () {
+    var id;
+
+    before(function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('content', content);
+
+      App.persistence.save(notebook, function (err) {
+        id = notebook.get('id');
+        return done(err);
+      });
+    });
+
+    it('should save to browser storage', function () {
+      expect(id).to.be.a('string');
+      expect(App.persistence.get('notebook').get('ownerId')).to.equal('local');
+    });
+
+    it('should list saved notebooks', function (done) {
+      App.persistence.list(function (err, list) {
+        var item = App._.findWhere(list.items, { id: id });
+
+        expect(item).to.exist;
+        expect(item.meta.title).to.equal('Local Notebook');
+        return done(err);
+      });
+    });
+
+    it('should search saved notebooks by content', function (done) {
+      App.persistence.list({ query: 'VAR TEST' }, function (err, list) {
+        expect(App._.findWhere(list.items, { id: id })).to.exist;
+
+        App.persistence.list({ tags: ['missing'] }, function (err, list) {
+          expect(App._.findWhere(list.items, { id: id })).to.not.exist;
+          return done(err);
+        });
+      });
+    });
+
+    it('should filter notebooks for plugins that can\'t search', function (done) {
+      var listPlugin = function (data, next, done) {
+        data.items.push({
+          id:        'array-match',
+          updatedAt: new Date(),
+          meta:      { title: 'Array Notebook' }
+        }, {
+          id:        'array-other',
+          updatedAt: new Date(),
+          meta:      { title: 'Other' }
+        });
+
+        return done();
+      };
+
+      App.middleware.register('persistence:list', listPlugin);
+
+      App.persistence.list({ query: 'array' }, function (err, list) {
+        App.middleware.deregister('persistence:list', listPlugin);
+
+        expect(App._.pluck(list.items, 'id')).to.deep.equal(['array-match']);
+        expect(list.filtered).to.be.false;
+        return done(err);
+      });
+    });
+
+    it('should load from a notebook id', function (done) {
+      var notebook = new App.Model.Notebook({ id: id });
+
+      App.persistence.load(notebook, function (err) {
+        expect(notebook.get('content')).to.contain('var test = true;');
+        expect(notebook.get('updatedAt')).to.be.an.instanceof(Date);
+        return done(err);
+      });
+    });
+
+    it('should detect conflicting saves', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      // Pretend the stored notebook was saved again from another tab.
+      notebook.set('updatedAt', new Date(0));
+      notebook.set('content', content + '\n\nConflict');
+
+      App.persistence.save(notebook, function (err) {
+        expect(err.conflict).to.be.true;
+        expect(App.persistence.get('state'))
+          .to.equal(App.persistence.SAVE_CONFLICT);
+
+        App.persistence.save(notebook, { force: true }, function (err) {
+          expect(err).to.not.exist;
+          expect(+notebook.get('updatedAt')).to.not.equal(0);
+          return done();
+        });
+      });
+    });
+
+    it('should pause automatic saves until a conflict is resolved', function (done) {
+      var notebook = App.persistence.get('notebook');
+
+      notebook.set('updatedAt', new Date(0));
+      notebook.set('content', content + '\n\nPaused');
+
+      App.persistence.save(notebook, function (err) {
+        expect(err.conflict).to.be.true;
+        expect(App.persistence.get('conflict')).to.be.true;
+        expect(App.persistence.shouldSave(notebook)).to.be.false;
+
+        App.persistence.save(notebook, { force: true }, function (err) {
+          expect(App.persistence.get('conflict')).to.be.false;
+          return done(err);
+        });
+      });
+    });
+
+    it('should remove a notebook', function (done) {
+      App.persistence.remove(id, function (err) {
+        expect(err).to.not.exist;
+
+        App.persistence.list(function (err, list) {
+          expect(App._.findWhere(list.items, { id: id })).to.not.exist;
+          return done(err);
+        });
+      });
+    });
+  });
+});
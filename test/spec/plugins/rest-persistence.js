@@ -0,0 +1,204 @@
+/* global describe, it, before, after */
+
+describe('REST Persistence Plugin', function () {
+  var server;
+
+  var url       = 'http://notebooks.example.com/api';
+  var id        = 'abc123';
+  var userId    = 'local';
+  var updatedAt = 1386217531000;
+  var content   = '---\ntitle: Test Notebook\n---\n\n```javascript\nvar test = true;\n```';
+
+  var jsonResponse = function (status, body) {
+    return [status, { 'Content-Type': 'application/json' }, JSON.stringify(body)];
+  };
+
+  var notebookResponse = function (status) {
+    return jsonResponse(status, {
+      id:         id,
+      ownerId:    userId,
+      ownerTitle: 'Local Server',
+      meta:       { title: 'Test Notebook' },
+      content:    content,
+      updatedAt:  updatedAt
+    });
+  };
+
+  before(function (done) {
+    server = sinon.fakeServer.create();
+    App.config.set('restPersistence', {
+      url: url,
+      headers: {
+        Authorization: 'Bearer token'
+      }
+    });
+    App.middleware.register(restPersistencePlugin);
+    App.persistence.new(done);
+  });
+
+  after(function () {
+    server.restore();
+    App.config.unset('restPersistence');
+    App.middleware.deregister(restPersistencePlugin);
+    App.persistence.unset('userId');
+    App.persistence.unset('userTitle');
+  });
+
+  it('should authenticate using the configured headers', function (done) {
+    server.respondWith('GET', url + '/user', function (xhr) {
+      expect(xhr.requestHeaders.Authorization).to.equal('Bearer token');
+
+      return xhr.respond.apply(xhr, jsonResponse(200, {
+        id:    userId,
+        title: 'Local Server'
+      }));
+    });
+
+    App.persistence.authenticate(function (err) {
+      expect(err).to.not.exist;
+      expect(App.persistence.get('userId')).to.equal(userId);
+      return done();
+    });
+
+    server.respond();
+  });
+
+  it('should create new notebooks', function (done) {
+    var notebook = App.persistence.get('notebook');
+
+    notebook.set('ownerId', userId);
+    notebook.set('content', content);
+
+    server.respondWith('POST', url + '/notebooks', function (xhr) {
+      var body = JSON.parse(xhr.requestBody);
+
+      expect(body.content).to.equal(content);
+
+      return xhr.respond.apply(xhr, notebookResponse(201));
+    });
+
+    App.persistence.save(notebook, function (err) {
+      expect(notebook.get('id')).to.equal(id);
+      expect(+notebook.get('updatedAt')).to.equal(updatedAt);
+
+      return done(err);
+    });
+
+    server.respond();
+  });
+
+  it('should send the loaded date with updates', function (done) {
+    var notebook = App.persistence.get('notebook');
+
+    server.respondWith('PUT', url + '/notebooks/' + id, function (xhr) {
+      expect(JSON.parse(xhr.requestBody).updatedAt).to.equal(updatedAt);
+
+      return xhr.respond.apply(xhr, jsonResponse(409, {
+        error: 'The notebook has changed'
+      }));
+    });
+
+    App.persistence.save(notebook, function (err) {
+      expect(err).to.exist;
+      expect(err.conflict).to.be.true;
+
+      return done();
+    });
+
+    server.respond();
+  });
+
+  it('should load notebooks by id', function (done) {
+    var notebook = App.persistence.get('notebook');
+
+    notebook.set('id', id, { silent: true });
+
+    server.respondWith('GET', url + '/notebooks/' + id, notebookResponse(200));
+
+    App.persistence.load(notebook, function (err) {
+      expect(notebook.get('content')).to.contain('var test = true;');
+      expect(notebook.get('ownerId')).to.equal(userId);
+
+      return done(err);
+    });
+
+    server.respond();
+  });
+
+  it('should list notebooks', function (done) {
+    server.respondWith(
+      'GET', url + '/notebooks?sort=updatedAt', jsonResponse(200, [{
+        id:        id,
+        meta:      { title: 'Test Notebook' },
+        updatedAt: updatedAt
+      }])
+    );
+
+    App.persistence.list(function (err, list) {
+      expect(list.items.length).to.equal(1);
+      expect(list.items[0].id).to.equal(id);
+      expect(list.items[0].meta.title).to.equal('Test Notebook');
+      expect(list.items[0].updatedAt).to.be.an.instanceof(Date);
+      expect(list.next).to.not.exist;
+      expect(list.filtered).to.be.true;
+
+      return done(err);
+    });
+
+    server.respond();
+  });
+
+  it('should search and page notebooks', function (done) {
+    var search = url + '/notebooks?sort=title&q=test&tags=api%2Cdemo';
+
+    server.respondWith('GET', search, function (xhr) {
+      return xhr.respond(200, {
+        'Content-Type': 'application/json',
+        'Link':         '</notebooks?sort=title&page=2>; rel="next"'
+      }, JSON.stringify([{
+        id:        id,
+        meta:      { title: 'Test Notebook' },
+        updatedAt: updatedAt
+      }]));
+    });
+
+    server.respondWith(
+      'GET', url + '/notebooks?sort=title&page=2', jsonResponse(200, [{
+        id:        'def456',
+        meta:      { title: 'Unrelated Notebook' },
+        updatedAt: updatedAt
+      }])
+    );
+
+    App.persistence.list({
+      query: 'test',
+      tags:  ['api', 'demo'],
+      sort:  'title'
+    }, function (err, list) {
+      expect(err).to.not.exist;
+      expect(list.next).to.equal('/notebooks?sort=title&page=2');
+
+      App.persistence.list({
+        sort: 'title',
+        page: list.next
+      }, function (err, list) {
+        expect(App._.pluck(list.items, 'id')).to.deep.equal([id, 'def456']);
+        expect(list.next).to.not.exist;
+
+        return done(err);
+      });
+
+      server.respond();
+    });
+
+    server.respond();
+  });
+
+  it('should remove notebooks', function (done) {
+    server.respondWith('DELETE', url + '/notebooks/' + id, [204, {}, '']);
+
+    App.persistence.remove(id, done);
+
+    server.respond();
+  });
+});
@@ -16,6 +16,7 @@ describe('Code Cell', function () {
       sandbox = new App.Sandbox();
 
       view.notebook = {
+        model:   new App.Model.Notebook(),
         sandbox: sandbox,
         executePrevious: function (cell, done) {
           return done && done();
@@ -123,6 +124,58 @@ describe('Code Cell', function () {
           view.execute();
         });
 
+        it('should number and time executions', function (done) {
+          view.on('execute', function (view) {
+            expect(view.data.get('executionCount')).to.equal(1);
+            expect(view.data.get('executionTime')).to.match(/^\d+ ms$/);
+            done();
+          });
+
+          view.setValue('10');
+          view.execute();
+        });
+
+        it('should capture console output', function (done) {
+          var code = [
+            'console.log("Testing", { test: true });',
+            'console.table([{ a: 1 }, { a: 2, b: 3 }]);'
+          ].join('\n');
+
+          view.on('execute', function (view, data) {
+            var logsEl = view.el.querySelector('.result-logs');
+
+            expect(data.logs).to.have.length(2);
+            expect(data.logs[0].level).to.equal('log');
+            expect(data.logs[0].args[0]).to.equal('Testing');
+            expect(data.logs[0].args[1].test).to.be.true;
+            expect(logsEl.querySelector('.result-log-text').textContent)
+              .to.equal('Testing');
+            expect(logsEl.querySelectorAll('.inspector')).to.have.length(1);
+            expect(logsEl.querySelectorAll('.result-log-table tr'))
+              .to.have.length(3);
+            done();
+          });
+
+          view.setValue(code);
+          view.execute();
+        });
+
+        it('should capture console output of earlier functions', function (done) {
+          var code = 'function hello () { window.console.warn("Hello"); }';
+
+          sandbox.execute(code, function () {
+            view.on('execute', function (view, data) {
+              expect(data.logs).to.have.length(1);
+              expect(data.logs[0].level).to.equal('warn');
+              expect(data.logs[0].args[0]).to.equal('Hello');
+              done();
+            });
+
+            view.setValue('hello();');
+            view.execute();
+          });
+        });
+
         it('should render an error', function (done) {
           var code = 'throw new Error(\'Testing\');';
 
@@ -163,6 +216,80 @@ describe('Code Cell', function () {
           view.execute();
         });
 
+        it('should support top-level await', function (done) {
+          var code = [
+            'var value = await new Promise(function (resolve) {',
+            '  setTimeout(function () { resolve(5); }, 0);',
+            '});',
+            'function double (x) { return x * 2; }',
+            'double(value);'
+          ].join('\n');
+
+          view.on('execute', function (view, data) {
+            expect(data.isError).to.be.false;
+            expect(data.result).to.equal(10);
+            expect(view.notebook.sandbox.window.value).to.equal(5);
+            expect(view.notebook.sandbox.window.double).to.be.a('function');
+            done();
+          });
+
+          view.setValue(code);
+          view.execute();
+        });
+
+        it('should transpile modern syntax', function (done) {
+          var code = [
+            'const double = (x) => x * 2;',
+            'let [a, b] = [1, 2];',
+            '`${double(a)}-${b}`;'
+          ].join('\n');
+
+          view.on('execute', function (view, data) {
+            expect(data.isError).to.be.false;
+            expect(data.result).to.equal('2-2');
+            done();
+          });
+
+          view.setValue(code);
+          view.execute();
+        });
+
+        it('should report syntax errors with the cell position', function (done) {
+          view.on('execute', function (view, data) {
+            expect(data.isError).to.be.true;
+            expect(data.result).to.be.an.instanceof(SyntaxError);
+            expect(data.result.line).to.equal(2);
+            expect(data.result.column).to.equal(9);
+            expect(data.result.message).to.match(/\(line 2, column 9\)$/);
+            done();
+          });
+
+          view.setValue('var a = 1;\nvar b = ;');
+          view.execute();
+        });
+
+        it('should read notebook attachments', function (done) {
+          var notebook = App.persistence.get('notebook');
+          var code     = 'attachment(\'fixture.json\').test';
+
+          notebook.setAttachment({
+            name:    'fixture.json',
+            type:    'application/json',
+            content: '{"test":"attached"}'
+          });
+
+          view.on('execute', function (view, data) {
+            notebook.removeAttachment('fixture.json');
+
+            expect(data.isError).to.be.false;
+            expect(data.result).to.equal('attached');
+            done();
+          });
+
+          view.setValue(code);
+          view.execute();
+        });
+
         it('should render asynchronous errors', function (done) {
           var code = [
             'var done = async();',
@@ -236,6 +363,141 @@ describe('Code Cell', function () {
           });
         });
 
+        it('should cancel an executing cell', function (done) {
+          var code = [
+            'var done = async();',
+            'setTimeout(function () {',
+            '  window.cancelled = false;',
+            '  done();',
+            '}, 50);'
+          ].join('\n');
+
+          view.on('execute', function (view, data) {
+            expect(data.isError).to.be.true;
+            expect(data.result.cancelled).to.be.true;
+            expect(view.data.get('executing')).to.be.false;
+
+            // Make sure the cell timer was cleared.
+            setTimeout(function () {
+              expect(view.notebook.sandbox.window.cancelled).to.not.exist;
+              return done();
+            }, 100);
+          });
+
+          view.setValue(code);
+          view.execute();
+
+          setTimeout(function () {
+            view.cancel();
+          }, 10);
+        });
+
+        it('should abort requests when cancelled', function (done) {
+          var xhr      = sinon.useFakeXMLHttpRequest();
+          var requests = [];
+
+          xhr.onCreate = function (request) {
+            requests.push(request);
+          };
+
+          view.on('execute', function (view, data) {
+            xhr.restore();
+
+            expect(data.result.message).to.equal('Execution cancelled');
+            expect(requests[0].aborted).to.be.true;
+            return done();
+          });
+
+          view.setValue('load("' + FIXTURES_URL + '/test.js");');
+          view.execute();
+
+          setTimeout(function () {
+            view.cancel();
+          }, 10);
+        });
+
+        it('should not abort unrelated requests when cancelled', function (done) {
+          var xhr      = sinon.useFakeXMLHttpRequest();
+          var requests = [];
+
+          xhr.onCreate = function (request) {
+            requests.push(request);
+          };
+
+          view.on('execute', function (view, data) {
+            xhr.restore();
+
+            expect(data.result.message).to.equal('Execution cancelled');
+            expect(requests[0].aborted).to.be.true;
+            expect(requests[1].aborted).to.not.be.true;
+            return done();
+          });
+
+          view.setValue('load("' + FIXTURES_URL + '/test.js");');
+          view.execute();
+
+          setTimeout(function () {
+            App.middleware.trigger('ajax', { url: FIXTURES_URL + '/test.js' });
+            view.cancel();
+          }, 10);
+        });
+
+        it('should require packages from the package mirror', function (done) {
+          var mirror = App.config.get('packageMirror');
+          var meta   = App.persistence.get('notebook').get('meta');
+
+          App.config.set(
+            'packageMirror', FIXTURES_URL + '/packages/{name}@{version}.js'
+          );
+
+          view.on('execute', function (view, data) {
+            App.config.set('packageMirror', mirror);
+
+            expect(data.isError).to.be.false;
+            expect(data.result).to.equal(42);
+            expect(meta.get('dependencies').answer).to.equal('1');
+            return done();
+          });
+
+          view.setValue('(await require.async("answer@1")).value');
+          view.execute();
+        });
+
+        it('should require loaded packages synchronously', function (done) {
+          var mirror = App.config.get('packageMirror');
+
+          App.config.set(
+            'packageMirror', FIXTURES_URL + '/packages/{name}@{version}.js'
+          );
+
+          view.on('execute', function (view, data) {
+            App.config.set('packageMirror', mirror);
+
+            expect(data.isError).to.be.false;
+            expect(data.result).to.equal(42);
+            return done();
+          });
+
+          view.setValue(
+            'await require.async("answer@1");\nrequire("answer@1").value'
+          );
+          view.execute();
+        });
+
+        it('should not require packages which have not been loaded', function (done) {
+          view.on('execute', function (view, data) {
+            expect(data.isError).to.be.true;
+            expect(data.result.message).to.equal(
+              'Package "unloaded@1" has not been loaded, use ' +
+              '`await require.async("unloaded@1")` first'
+            );
+            return done();
+          });
+
+          view.setValue('require("unloaded@1")');
+          view.execute();
+        });
+
         it('should have a built in script loader', function (done) {
           var code   = 'load("' + FIXTURES_URL + '/test.js");';
 
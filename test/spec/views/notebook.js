@@ -93,6 +93,18 @@ describe('Notebook', function () {
 
         expect(cell.getValue()).to.equal('testing');
       });
+
+      it('should render saved results as stale', function () {
+        var cell = view.appendCodeView(null, '1 + 1', {
+          output: { value: 2 }
+        });
+
+        var resultEl = cell.el.querySelector('.cell-result');
+
+        expect(cell.model.getMeta('output')).to.deep.equal({ value: 2 });
+        expect(resultEl.className).to.contain('cell-result-stale');
+        expect(resultEl.className).to.not.contain('cell-result-pending');
+      });
     });
 
     describe('#appendTextView', function () {
@@ -243,6 +255,181 @@ describe('Notebook', function () {
         });
       });
 
+      it('should execute cells above and below a cell', function (done) {
+        codeCells[0].setValue('1');
+        codeCells[1].setValue('2');
+
+        view.executeAbove(codeCells[1], function () {
+          expect(codeCells[0].model.get('result')).to.equal(1);
+          expect(codeCells[1].model.has('result')).to.be.false;
+
+          view.executeBelow(codeCells[1], function () {
+            expect(codeCells[0].data.get('executionCount')).to.equal(1);
+            expect(codeCells[1].model.get('result')).to.equal(2);
+            expect(view.data.get('progress')).to.not.exist;
+            return done();
+          });
+        });
+      });
+
+      it('should report execution progress', function (done) {
+        var progress = [];
+
+        view.data.on('change:progress', function (data, value) {
+          progress.push(value);
+        });
+
+        view.execute(function () {
+          expect(progress).to.deep.equal([
+            { current: 1, total: 2 },
+            { current: 2, total: 2 },
+            undefined
+          ]);
+          return done();
+        });
+      });
+
+      it('should stop on the first error when configured', function (done) {
+        App.config.set('stopOnError', true);
+
+        codeCells[0].setValue('throw new Error("Testing")');
+        codeCells[1].setValue('2');
+
+        view.execute(function (err) {
+          App.config.set('stopOnError', false);
+
+          expect(err.message).to.equal('Testing');
+          expect(codeCells[1].model.has('result')).to.be.false;
+          return done();
+        });
+      });
+
+      it('should number executions and mark stale results', function (done) {
+        codeCells[0].setValue('1');
+        codeCells[1].setValue('$0 + 1');
+
+        view.execute(function () {
+          expect(codeCells[0].data.get('executionCount')).to.equal(1);
+          expect(codeCells[1].data.get('executionCount')).to.equal(2);
+          expect(codeCells[1].data.get('executionTime')).to.match(/ms$/);
+          expect(codeCells[1].data.get('stale')).to.be.false;
+
+          codeCells[0].setValue('2');
+          expect(codeCells[0].data.get('stale')).to.be.true;
+          expect(codeCells[1].data.get('stale')).to.be.true;
+
+          codeCells[0].execute(function () {
+            expect(codeCells[0].data.get('executionCount')).to.equal(3);
+            expect(codeCells[0].data.get('stale')).to.be.false;
+            expect(codeCells[1].data.get('stale')).to.be.true;
+            expect(codeCells[1].el.className).to.contain('cell-code-stale');
+            return done();
+          });
+        });
+      });
+
+      it('should not mark invalid cells stale after executing them', function (done) {
+        codeCells[0].setValue('1');
+
+        codeCells[0].execute(function () {
+          codeCells[0].setValue('var = ;');
+          expect(codeCells[0].data.get('stale')).to.be.true;
+
+          codeCells[0].on('execute', function (cell, data) {
+            expect(data.isError).to.be.true;
+            expect(cell.data.get('executionCount')).to.equal(2);
+            expect(cell.data.get('stale')).to.be.false;
+            return done();
+          });
+
+          codeCells[0].execute();
+        });
+      });
+
+      it('should restart the sandbox and clear results', function (done) {
+        var sandbox = view.sandbox;
+
+        codeCells[0].setValue('var restarted = true;');
+        codeCells[1].setValue('typeof restarted');
+
+        view.execute(function () {
+          expect(view.sandbox.window.restarted).to.be.true;
+
+          view.restart(false, function () {
+            expect(view.sandbox).to.not.equal(sandbox);
+            expect(view.completionOptions.window).to.equal(view.sandbox.window);
+            expect(view.sandbox.window.restarted).to.not.exist;
+            expect(codeCells[0].model.has('result')).to.be.false;
+            expect(codeCells[0].data.get('executed')).to.be.false;
+            expect(codeCells[0].data.get('executionCount')).to.not.exist;
+
+            view.restart(true, function () {
+              expect(codeCells[1].model.get('result')).to.equal('boolean');
+              return done();
+            });
+          });
+        });
+      });
+
+      it('should only mark dependent cells as stale in reactive mode', function (done) {
+        var lastCell = view.appendCodeView();
+
+        App.config.set('reactive', 'flag');
+
+        codeCells[0].setValue('var a = 1;');
+        codeCells[1].setValue('var b = 2;');
+        lastCell.setValue('a + 1');
+
+        view.execute(function () {
+          codeCells[0].setValue('var a = 2;');
+
+          App.config.set('reactive', false);
+
+          expect(codeCells[1].data.get('stale')).to.be.false;
+          expect(lastCell.data.get('stale')).to.be.true;
+          return done();
+        });
+      });
+
+      it('should execute dependent cells in reactive mode', function (done) {
+        App.config.set('reactive', 'execute');
+
+        codeCells[0].setValue('var a = 1;');
+        codeCells[1].setValue('a + 1');
+
+        view.execute(function () {
+          codeCells[1].once('execute', function (view, data) {
+            App.config.set('reactive', false);
+
+            expect(data.result).to.equal(6);
+            expect(codeCells[1].data.get('stale')).to.be.false;
+            return done();
+          });
+
+          codeCells[0].setValue('var a = 5;');
+          codeCells[0].execute();
+        });
+      });
+
+      it('should save result snapshots when saving outputs', function (done) {
+        view.model.get('meta').set('saveOutputs', true);
+
+        codeCells[0].setValue('[1, 2, 3]');
+
+        codeCells[0].execute(function () {
+          var resultEl = codeCells[0].el.querySelector('.cell-result');
+
+          expect(codeCells[0].model.getMeta('output')).to.deep.equal({
+            value: [1, 2, 3]
+          });
+          expect(resultEl.className).to.not.contain('cell-result-stale');
+
+          view.model.get('meta').unset('saveOutputs');
+          expect(codeCells[0].model.getMeta('output')).to.not.exist;
+          return done();
+        });
+      });
+
       it('should be able to prepend a code cell', function (done) {
         expect(view.collection.length).to.equal(4);
 
@@ -0,0 +1,179 @@
+/* global describe, it, beforeEach, afterEach, expect, App, FIXTURES_URL */
+
+// Older browsers, like PhantomJS, fall back to the frame sandbox.
+(App.WorkerSandbox.isSupported() ? describe : describe.skip)('Worker Sandbox', function () {
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = new App.WorkerSandbox();
+  });
+
+  afterEach(function () {
+    sandbox.remove();
+  });
+
+  it('should execute code in the worker', function (done) {
+    sandbox.execute('typeof document', function (err, data) {
+      expect(data.isError).to.be.false;
+      expect(data.result).to.equal('undefined');
+      return done(err);
+    });
+  });
+
+  it('should rebuild objects for the inspector', function (done) {
+    var code = [
+      'function Point (x) { this.x = x; this.self = this; }',
+      'new Point(10);'
+    ].join('\n');
+
+    sandbox.execute(code, function (err, data) {
+      expect(data.result.x).to.equal(10);
+      expect(data.result.self).to.equal(data.result);
+      expect(data.result.constructor.name).to.equal('Point');
+      expect(sandbox.window.Point).to.be.a('function');
+      return done(err);
+    });
+  });
+
+  it('should render errors', function (done) {
+    sandbox.execute('throw new TypeError("Testing")', function (err, data) {
+      expect(data.isError).to.be.true;
+      expect(data.result.name).to.equal('TypeError');
+      expect(data.result.message).to.equal('Testing');
+      return done(err);
+    });
+  });
+
+  it('should execute asynchronous cells', function (done) {
+    var code = 'var done = async(); setTimeout(function () { done(null, 5); });';
+
+    sandbox.execute(code, function (err, data) {
+      expect(data.isError).to.be.false;
+      expect(data.result).to.equal(5);
+      return done(err);
+    });
+  });
+
+  it('should require packages from the package mirror', function (done) {
+    var mirror = App.config.get('packageMirror');
+
+    App.config.set(
+      'packageMirror', FIXTURES_URL + '/packages/{name}@{version}.js'
+    );
+
+    var code = 'await require.async("answer@1");\nrequire("answer@1").value';
+
+    sandbox.execute(code, function (err, data) {
+      App.config.set('packageMirror', mirror);
+
+      expect(data.isError).to.be.false;
+      expect(data.result).to.equal(42);
+      return done(err);
+    });
+  });
+
+  it('should not require packages which have not been loaded', function (done) {
+    sandbox.execute('require("unloaded@1")', function (err, data) {
+      expect(data.isError).to.be.true;
+      expect(data.result.message).to.equal(
+        'Package "unloaded@1" has not been loaded, use ' +
+        '`await require.async("unloaded@1")` first'
+      );
+      return done(err);
+    });
+  });
+
+  it('should terminate runaway cells', function (done) {
+    sandbox.execute('timeout(10);\nwhile (true) {}', function (err, data) {
+      expect(err.message).to.equal('Timeout of 10ms exceeded');
+      expect(data.isError).to.be.true;
+
+      sandbox.execute('1 + 1', function (err, data) {
+        expect(data.result).to.equal(2);
+        return done(err);
+      });
+    });
+  });
+
+  it('should cancel executing cells', function (done) {
+    var code = 'var done = async(); setTimeout(done, 500);';
+
+    sandbox.execute(code, function (err, data) {
+      expect(data.isError).to.be.true;
+      expect(data.result.cancelled).to.be.true;
+      return done(err);
+    }).cancel();
+  });
+
+  it('should call context methods on the page', function (done) {
+    var context = function (context, next) {
+      context.math = {
+        double: function (value) {
+          return typeof window.document + ' ' + value * 2;
+        }
+      };
+
+      return next();
+    };
+
+    App.middleware.register('sandbox:context', context);
+
+    sandbox.execute('math.double(21)', function (err, data) {
+      App.middleware.deregister('sandbox:context', context);
+
+      expect(data.isError).to.be.false;
+      expect(data.result).to.equal('object 42');
+      return done(err);
+    });
+  });
+
+  it('should release page values the worker no longer uses', function (done) {
+    var context = function (context, next) {
+      context.makeCounter = function (start) {
+        return {
+          next: function () {
+            return ++start;
+          }
+        };
+      };
+
+      return next();
+    };
+
+    App.middleware.register('sandbox:context', context);
+
+    sandbox.execute('var counter = makeCounter(1); counter.next()', function (err, data) {
+      expect(data.result).to.equal(2);
+      expect(App._executeWindow).to.not.exist;
+      expect(App._.size(sandbox._refs)).to.equal(1);
+
+      sandbox.execute('counter = null;', function (err) {
+        App.middleware.deregister('sandbox:context', context);
+
+        expect(App._.size(sandbox._refs)).to.equal(0);
+        return done(err);
+      });
+    });
+  });
+
+  it('should capture console output', function (done) {
+    sandbox.execute('console.warn("Testing", [1, 2]);', function (err, data) {
+      expect(data.logs[0].level).to.equal('warn');
+      expect(data.logs[0].args[0]).to.equal('Testing');
+      expect(data.logs[0].args[1]).to.deep.equal([1, 2]);
+      return done(err);
+    });
+  });
+
+  it('should capture console output of earlier functions', function (done) {
+    var code = 'function hello () { self.console.info("Hello"); }';
+
+    sandbox.execute(code, function () {
+      sandbox.execute('hello();', function (err, data) {
+        expect(data.logs[0].level).to.equal('info');
+        expect(data.logs[0].args[0]).to.equal('Hello');
+        return done(err);
+      });
+    });
+  });
+});